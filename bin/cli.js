@@ -5,40 +5,104 @@
  * Professional deep link testing tool for Roku certification
  */
 
+const path = require('path')
 const { program } = require('commander')
 const chalk = require('chalk')
 const boxen = require('boxen')
 const RokuDeepLinkTester = require('../lib/tester')
+const BeaconRegistry = require('../lib/beacon-registry')
 const packageJson = require('../package.json')
 
+// Collect repeatable option values into an array
+function collect(value, previous) {
+  return previous.concat([value])
+}
+
+// Options shared by the root command and run-suite. In a suite, the app, wait
+// and expected beacons apply to every case that does not set its own, and each
+// case names its own content and type.
+function addRunOptions(command, { suite = false } = {}) {
+  command
+    .option('-i, --ip <ip>', 'Roku device IP address (comma-separated to test several devices)', '192.168.1.114')
+    .option('--devices <file>', 'YAML/JSON file listing devices to test in parallel (overrides --ip)')
+    .option('--concurrency <n>', 'Maximum number of devices tested at the same time (default: all)')
+    .option('--device <name|serial>', 'Discover the device by friendly name or serial number instead of --ip (repeatable)', collect, [])
+    .option('--ecp-port <port>', 'ECP HTTP port', '8060')
+    .option('--telnet-port <port>', 'Debug console (telnet) port', '8085')
+    .option('-a, --app <app>', suite ? 'App ID for cases that do not set one (overrides the suite defaults)' : 'App ID (use "dev" for sideloaded)', 'dev')
+
+  if (!suite) {
+    command
+      .option('-c, --content <contentId>', 'Content ID to test', '1234')
+      .option('-t, --type <mediaType>', 'Media type (movie, episode, season, series, shortFormVideo, tvSpecial, special, live)', 'movie')
+  }
+
+  return command
+    .option('-w, --wait <seconds>', suite ? 'Wait time for beacons (seconds) for cases that do not set one (overrides the suite defaults)' : 'Wait time for beacons (seconds)', '30')
+    .option('--launch-only', 'Only test launch command (skip input test)')
+    .option('--input-only', 'Only test input command (skip launch test)')
+    .option('--signed-in', 'Test app that requires user to be signed in')
+    .option('-s, --script <path>', 'Path to RASP sign-in script file')
+    .option('--rasp-var <name=value>', 'Set a RASP script variable used as ${name} (repeatable)', collect, [])
+    .option('--retry [attempts]', 'Retry failed tests (max attempts, default 2 when no value is given)')
+    .option('--retry-delay <ms>', 'Delay before the first retry (milliseconds)', '2000')
+    .option('--retry-backoff <factor>', 'Multiply the retry delay by this factor after each attempt', '2')
+    .option('--retry-reset <mode>', 'Restore state between attempts: none, home or relaunch', 'none')
+    .option('--test-id <id>', 'Test identifier for CI/CD tracking')
+    .option('--sideload <zip>', 'Install this channel zip through the developer installer before testing')
+    .option('--dev-password <password>', 'Developer installer password for the "rokudev" user (default: $ROKU_DEV_PASSWORD)')
+    .option('--installer-port <port>', 'Developer installer HTTP port', '80')
+    .option('--screenshots', 'Save a screenshot after each deep link and on failure (dev channel, needs --dev-password)')
+    .option('--artifacts-dir <dir>', 'Directory for screenshots', 'artifacts')
+    .option('--skip-preflight', 'Skip the device, app and debug console checks before testing')
+    .option('--verify-active-app', 'Check /query/active-app for the foreground app before the input test and after each deep link')
+    .option('--verify-playback <mode>', 'Playback verdict from beacons, player (ECP media-player polling), either or both', 'beacons')
+    .option('--playback-seconds <seconds>', 'How long the player position must keep advancing', '5')
+    .option('--timing-mode <mode>', 'What a failed timing check does: fail the test, or only warn', 'fail')
+    .option('--launch-limit <seconds>', 'App launch limit (certification 3.2: 15s)')
+    .option('--video-start-limit <seconds>', 'Video start limit (certification 3.6: 8s)')
+    .option('--launch-budget <seconds>', 'Internal app launch budget, checked alongside the limit')
+    .option('--video-start-budget <seconds>', 'Internal video start budget, checked alongside the limit')
+    .option('--iterations <n>', 'Repeat the launch/input cycle n times and report timing statistics', '1')
+    .option('--cooldown <seconds>', 'Pause between iterations', '5')
+    .option('--iteration-reset <mode>', 'Reset between iterations: home or none', 'home')
+    .option('--percentile <p>', 'Percentile of each timing that the certification verdict uses over several iterations', '95')
+    .option('--negative', 'Also send deep links with an unknown content ID and an invalid media type, which the app must survive')
+    .option('--negative-wait <seconds>', 'How long the app must stay in the foreground after each negative deep link', '5')
+    .option('--media-types <file>', suite
+      ? 'YAML/JSON file overriding the media type profiles (a mediaTypes section in the suite applies on top)'
+      : 'YAML/JSON file overriding the media type profiles (expected playback or landing per type)')
+    .option('--baseline <file>', 'Compare beacon timings with a baseline saved by --save-baseline')
+    .option('--max-regression <tolerance>', 'Slowdown against --baseline that fails the run (e.g. 15% or 500ms)', '10%')
+    .option('--save-baseline <file>', 'Save the beacon timings of a passing run as a baseline')
+    .option('--baseline-name <name>', 'Name stored in the --save-baseline file (default: the file name)')
+    .option('--expect-beacon <beacon>', suite ? 'Beacon name or /regex/ required in every case (repeatable)' : 'Additional beacon name or /regex/ that must appear (repeatable)', collect, [])
+    .option('--no-banner', 'Hide the banner and use minimal output')
+    .option('--json', 'Output results in JSON format')
+    .option('--verbose', 'Show detailed telnet logs')
+    .option('--log-file <path>', 'Write the full debug console session transcript to a file')
+    .option('--reporter <type>', 'Write a machine-readable report (junit)')
+    .option('--output <file>', 'File to write the --reporter output to (prints to stdout if omitted)')
+    .option('--html <file>', 'Write a self-contained HTML certification report')
+}
+
 // Configure CLI
 program
   .name('roku-deep-link')
   .description('Professional deep link testing tool for Roku applications')
   .version(packageJson.version)
+  .enablePositionalOptions()
 
-program
-  .option('-i, --ip <ip>', 'Roku device IP address', '192.168.1.114')
-  .option('-a, --app <app>', 'App ID (use "dev" for sideloaded)', 'dev')
-  .option('-c, --content <contentId>', 'Content ID to test', '1234')
-  .option('-t, --type <mediaType>', 'Media type (movie, series, episode, etc.)', 'movie')
-  .option('-w, --wait <seconds>', 'Wait time for beacons (seconds)', '30')
-  .option('--launch-only', 'Only test launch command (skip input test)')
-  .option('--input-only', 'Only test input command (skip launch test)')
-  .option('--signed-in', 'Test app that requires user to be signed in')
-  .option('-s, --script <path>', 'Path to RASP sign-in script file')
-  .option('--retry', 'Retry failed tests once')
-  .option('--test-id <id>', 'Test identifier for CI/CD tracking')
-  .option('--expect-beacon <beacon>', 'Additional beacon to monitor for')
-  .option('--no-banner', 'Hide the banner and use minimal output')
-  .option('--json', 'Output results in JSON format')
-  .option('--verbose', 'Show detailed telnet logs')
+addRunOptions(program)
 
 program.action(async (options) => {
   try {
+    // Commander stores --no-banner as banner: false; the tester reads noBanner
+    options.noBanner = options.banner === false
+
     // Show banner unless disabled
     if (!options.noBanner) {
-      showBanner()
+      showBanner(options)
     }
 
     // Validate required options
@@ -48,24 +112,26 @@ program.action(async (options) => {
       process.exit(1)
     }
 
-    // Validate IP address
-    const ipRegex = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/
-    if (!ipRegex.test(options.ip)) {
-      console.error(chalk.red('❌ Invalid IP address format'))
-      process.exit(1)
-    }
+    validateReporter(options)
+
+    // Reject an unknown --type before connecting to any device
+    await loadMediaTypes(options)
+    options.mediaTypes.get(options.type)
 
-    // Create and run tester
-    const tester = new RokuDeepLinkTester(options)
-    const results = await tester.runTests()
+    // Create and run a tester per device
+    const results = await runOnDevices(options, tester => tester.runTests())
 
     // Output results
     if (options.json) {
       console.log(JSON.stringify(results, null, 2))
-    } else {
+    } else if (!(options.reporter && !options.output)) {
       showResults(results)
     }
 
+    await writeReport(results, options)
+    await writeHtmlReport(results, options)
+    await saveBaseline(results, options)
+
     // Exit with appropriate code
     process.exit(results.success ? 0 : 1)
 
@@ -87,19 +153,42 @@ program
 program
   .command('validate-script <scriptPath>')
   .description('Validate a RASP script file')
-  .action(async (scriptPath) => {
+  .option('--rasp-var <name=value>', 'Set a RASP script variable used as ${name} (repeatable)', collect, [])
+  .option('--strict', 'Treat warnings (unset script-* variables, unknown channel names) as errors')
+  .action(async (scriptPath, options) => {
     const RaspValidator = require('../lib/rasp-validator')
-    const validator = new RaspValidator()
+    const RaspScript = require('../lib/rasp-script')
     
     try {
+      const validator = new RaspValidator({ vars: RaspScript.parseVars(options.raspVar), strict: options.strict })
       const result = await validator.validate(scriptPath)
+      // "signin.rasp:12:7  Step 4: ..." when the position is known
+      const format = (diagnostic) => diagnostic.line
+        ? `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}  ${diagnostic.message}`
+        : diagnostic.message
+      const errors = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error')
+      const warnings = result.diagnostics.filter(diagnostic => diagnostic.severity === 'warning')
+
       if (result.valid) {
         console.log(chalk.green('✅ RASP script is valid'))
-        console.log(`Steps: ${result.stepCount}`)
+        const expanded = result.stepCount !== result.sourceStepCount ? ` (expanded from ${result.sourceStepCount})` : ''
+        console.log(`Steps: ${result.stepCount}${expanded}`)
+        if (result.includes.length > 0) {
+          console.log(`Includes: ${result.includes.join(', ')}`)
+        }
         console.log(`Estimated duration: ${result.estimatedDuration}s`)
-      } else {
+      } else if (errors.length > 0) {
         console.log(chalk.red('❌ RASP script has errors:'))
-        result.errors.forEach(error => console.log(chalk.red(`  - ${error}`)))
+        errors.forEach(error => console.log(chalk.red(`  - ${format(error)}`)))
+      } else {
+        console.log(chalk.red('❌ RASP script has warnings (--strict):'))
+      }
+
+      if (warnings.length > 0) {
+        console.log(chalk.yellow(`⚠️  Warnings:`))
+        warnings.forEach(warning => console.log(chalk.yellow(`  - ${format(warning)}`)))
+      }
+      if (!result.valid) {
         process.exit(1)
       }
     } catch (error) {
@@ -108,7 +197,303 @@ program
     }
   })
 
-function showBanner() {
+// Add suite command for running many deep link cases from one manifest
+const runSuiteCommand = program
+  .command('run-suite <suitePath>')
+  .description('Run every deep link case listed in a suite manifest (YAML or JSON)')
+
+addRunOptions(runSuiteCommand, { suite: true })
+  .action(async (suitePath, options) => {
+    const TestSuite = require('../lib/test-suite')
+
+    try {
+      options.noBanner = options.banner === false
+      if (!options.noBanner) {
+        showBanner(options)
+      }
+
+      if (options.signedIn && !options.script) {
+        console.error(chalk.red('❌ Error: --signed-in requires --script path/to/signin.rasp'))
+        process.exit(1)
+      }
+
+      validateReporter(options)
+      await loadMediaTypes(options)
+
+      const suite = await TestSuite.load(suitePath, suiteOverrides(runSuiteCommand, options))
+      const results = await runOnDevices(options, tester => tester.runSuite(suite))
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2))
+      } else if (!(options.reporter && !options.output)) {
+        showResults(results)
+      }
+
+      await writeReport(results, options)
+      await writeHtmlReport(results, options)
+      await saveBaseline(results, options)
+
+      process.exit(results.success ? 0 : 1)
+
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`))
+      process.exit(1)
+    }
+  })
+
+// Add discover command to find devices without knowing their IPs
+program
+  .command('discover')
+  .description('Find Roku devices on the local network (SSDP)')
+  .option('--timeout <seconds>', 'How long to wait for SSDP responses', '3')
+  .option('--ssdp-target <host:port>', 'Send the M-SEARCH to this address instead of the SSDP multicast group')
+  .option('--json', 'Output devices in JSON format')
+  .action(async (options) => {
+    const DeviceDiscovery = require('../lib/discovery')
+
+    try {
+      const [address, port] = (options.ssdpTarget || '').split(':')
+      const discovery = new DeviceDiscovery({
+        address: address || undefined,
+        port: port || undefined,
+        timeout: parseFloat(options.timeout) * 1000
+      })
+
+      if (!options.json) {
+        console.log(chalk.blue(`🔍 Searching for Roku devices (${options.timeout}s)...`))
+      }
+      const devices = await discovery.discover()
+
+      if (options.json) {
+        console.log(JSON.stringify(devices.map(({ fields, ...device }) => device), null, 2))
+        return
+      }
+
+      if (devices.length === 0) {
+        console.log(chalk.yellow('No Roku devices found. Check that the devices are on this network and that SSDP (UDP 1900) is not blocked.'))
+        return
+      }
+
+      devices.forEach(device => {
+        if (device.error) {
+          console.log(`${chalk.bold(device.ip)}  ${chalk.red(`device-info failed: ${device.error}`)}`)
+          return
+        }
+        console.log(`${chalk.bold(device.friendlyName)}  ${chalk.cyan(`${device.ip}:${device.ecpPort}`)}`)
+        console.log(chalk.gray(`   Serial: ${device.serialNumber} | Model: ${device.modelName} (${device.modelNumber}) | OS: ${device.softwareVersion}`))
+      })
+      console.log(chalk.gray(`\nSelect a device with: roku-deep-link --device "${devices[0].friendlyName || devices[0].serialNumber}" --content 1234 --type movie`))
+    } catch (error) {
+      console.error(chalk.red(`❌ Discovery failed: ${error.message}`))
+      process.exit(1)
+    }
+  })
+
+// Add mock device command for offline testing without a physical Roku
+program
+  .command('mock-device')
+  .description('Start a mock Roku device (ECP + debug console) for offline testing')
+  .option('--host <host>', 'Address to listen on', '127.0.0.1')
+  .option('--ecp-port <port>', 'ECP HTTP port', '8060')
+  .option('--telnet-port <port>', 'Debug console (telnet) port', '8085')
+  .option('--scenario <name>', 'Built-in scenario (vod, live, slow, launch-only, missing-beacons, exit-to-home, player-error, stall, install-failure, crash-on-invalid, refuse)', 'vod')
+  .option('--scenario-file <path>', 'YAML/JSON scenario file (overrides --scenario)')
+  .option('--ssdp-port <port>', 'Answer SSDP discovery on this UDP port (1900 for real discovery)')
+  .option('--name <name>', 'Friendly device name reported by /query/device-info', 'Mock Roku')
+  .option('--installer-port <port>', 'Run a stand-in developer installer on this HTTP port')
+  .option('--dev-password <password>', 'Password the stand-in developer installer accepts', 'rokudev')
+  .option('--content-ids <ids>', 'Comma-separated content IDs the mock catalog knows (default: any)')
+  .action(async (options) => {
+    const fs = require('fs').promises
+    const YAML = require('yaml')
+    const MockRokuDevice = require('../lib/mock-device')
+
+    try {
+      const scenario = options.scenarioFile
+        ? YAML.parse(await fs.readFile(options.scenarioFile, 'utf8'))
+        : options.scenario
+
+      const device = new MockRokuDevice({
+        host: options.host,
+        ecpPort: parseInt(options.ecpPort),
+        telnetPort: parseInt(options.telnetPort),
+        scenario,
+        ssdpPort: options.ssdpPort !== undefined ? parseInt(options.ssdpPort) : undefined,
+        deviceInfo: { friendlyName: options.name },
+        installerPort: options.installerPort !== undefined ? parseInt(options.installerPort) : undefined,
+        devPassword: options.devPassword,
+        contentIds: options.contentIds ? options.contentIds.split(',').map(id => id.trim()).filter(Boolean) : undefined,
+        log: (message) => console.log(chalk.gray(`[mock] ${message}`))
+      })
+      await device.start()
+
+      console.log(chalk.green(`✅ Mock Roku running (scenario: ${options.scenarioFile || options.scenario})`))
+      console.log(chalk.gray(`roku-deep-link --ip ${options.host} --ecp-port ${device.ecpPort} --telnet-port ${device.telnetPort} --content 1234 --type movie`))
+      if (device.installerServer) {
+        console.log(chalk.gray(`Sideload and screenshots with: --sideload ./channel.zip --screenshots --installer-port ${device.installerPort} --dev-password ${options.devPassword}`))
+      }
+      console.log(chalk.yellow('Press Ctrl+C to stop'))
+    } catch (error) {
+      console.error(chalk.red(`❌ Error starting mock device: ${error.message}`))
+      process.exit(1)
+    }
+  })
+
+// Resolve --device selectors through SSDP discovery
+async function findDevices(selectors, options) {
+  const DeviceDiscovery = require('../lib/discovery')
+
+  if (!options.json) {
+    console.log(chalk.blue(`Discovering Roku devices for ${selectors.map(selector => `"${selector}"`).join(', ')}...`))
+  }
+  const found = await new DeviceDiscovery().find(selectors)
+
+  return found.map(device => {
+    if (!options.json) {
+      console.log(chalk.gray(`   ${device.friendlyName} (${device.serialNumber}) → ${device.ip}:${device.ecpPort}`))
+    }
+    return { name: device.friendlyName || device.ip, ip: device.ip, ecpPort: device.ecpPort }
+  })
+}
+
+// Run with a single tester, or one isolated tester per device when several
+// devices are given. Parallel output is buffered and printed per device.
+async function runOnDevices(options, run) {
+  const DevicePool = require('../lib/device-pool')
+  // Read after parsing rather than as a commander default, which --help would print
+  options.devPassword = options.devPassword || process.env.ROKU_DEV_PASSWORD
+  let devices
+  if (options.devices) {
+    devices = await DevicePool.load(options.devices)
+  } else if (options.device && options.device.length > 0) {
+    devices = DevicePool.normalize(await findDevices(options.device, options))
+  } else {
+    devices = DevicePool.normalize(DevicePool.parseIpList(options.ip))
+  }
+
+  // Validate IP addresses
+  const ipRegex = /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/
+  const invalid = devices.filter(device => !ipRegex.test(device.ip))
+  if (devices.length === 0 || invalid.length > 0) {
+    console.error(chalk.red(`❌ Invalid IP address format${invalid.length ? `: ${invalid.map(device => device.ip).join(', ')}` : ''}`))
+    process.exit(1)
+  }
+
+  const quiet = reportsToStdout(options)
+  if (devices.length === 1 && !options.devices) {
+    // Keep stdout clean for the JSON results or report; progress goes to stderr
+    const logger = quiet ? (line) => console.error(line) : undefined
+    return run(new RokuDeepLinkTester({ ...options, ip: devices[0].ip, ecpPort: devices[0].ecpPort || options.ecpPort, logger }))
+  }
+
+  const pool = new DevicePool(devices, {
+    concurrency: options.concurrency,
+    testId: options.testId,
+    onDeviceComplete: ({ device, output, results }) => {
+      if (quiet) {
+        return
+      }
+      const status = results.success ? chalk.green('PASS') : chalk.red('FAIL')
+      console.log(chalk.bold.blue(`\n🖥️  ${device.name} (${device.ip}) - `) + status)
+      console.log('-'.repeat(50))
+      output.forEach(line => console.log(line))
+    }
+  })
+
+  if (!quiet) {
+    console.log(chalk.blue(`Testing ${devices.length} devices (concurrency ${pool.concurrency})...`))
+  }
+
+  return pool.run((device, logger) => run(new RokuDeepLinkTester({ ...pool.optionsFor(device, options), logger })))
+}
+
+// Replace the --media-types file name with the profile table it defines
+async function loadMediaTypes(options) {
+  const MediaTypes = require('../lib/media-types')
+  options.mediaTypes = options.mediaTypes ? await MediaTypes.load(options.mediaTypes) : new MediaTypes()
+}
+
+const REPORTERS = ['junit']
+
+// --json, or --reporter without --output, makes stdout machine-readable
+function reportsToStdout(options) {
+  return Boolean(options.json || (options.reporter && !options.output))
+}
+
+// Status messages go to stderr whenever stdout carries the results
+function notice(options, message) {
+  if (reportsToStdout(options)) {
+    console.error(message)
+  } else {
+    console.log(message)
+  }
+}
+
+// --app and --wait given on the command line beat the suite's defaults (but not
+// the cases); their built-in defaults don't
+function suiteOverrides(command, options) {
+  const overrides = {}
+  for (const name of ['app', 'wait']) {
+    if (command.getOptionValueSource(name) === 'cli') {
+      overrides[name] = options[name]
+    }
+  }
+  return overrides
+}
+
+function validateReporter(options) {
+  if (options.reporter && !REPORTERS.includes(options.reporter)) {
+    console.error(chalk.red(`❌ Unknown reporter "${options.reporter}". Available: ${REPORTERS.join(', ')}`))
+    process.exit(1)
+  }
+}
+
+// Write the --reporter output to --output, or stdout when no file is given
+async function writeReport(results, options) {
+  if (!options.reporter) {
+    return
+  }
+
+  const JUnitReporter = require('../lib/junit-reporter')
+  const reporter = new JUnitReporter()
+
+  if (options.output) {
+    await reporter.write(results, options.output)
+    notice(options, chalk.gray(`\n📄 JUnit report written to ${options.output}`))
+  } else {
+    console.log(reporter.render(results))
+  }
+}
+
+async function writeHtmlReport(results, options) {
+  if (!options.html) {
+    return
+  }
+
+  const HtmlReporter = require('../lib/html-reporter')
+  await new HtmlReporter().write(results, options.html)
+  notice(options, chalk.gray(`📄 HTML report written to ${options.html}`))
+}
+
+// A failed run (including one that regressed) never replaces the baseline
+async function saveBaseline(results, options) {
+  if (!options.saveBaseline) {
+    return
+  }
+
+  const log = (message) => notice(options, message)
+  if (!results.success) {
+    log(chalk.yellow(`⚠️  Baseline not saved to ${options.saveBaseline}: the run failed`))
+    return
+  }
+
+  const Baseline = require('../lib/baseline')
+  const name = options.baselineName || path.basename(options.saveBaseline, path.extname(options.saveBaseline))
+  await Baseline.fromResults(results, { name }).save(options.saveBaseline)
+  log(chalk.gray(`📄 Baseline "${name}" written to ${options.saveBaseline}`))
+}
+
+function showBanner(options = {}) {
   const banner = boxen(
     chalk.bold.blue('🔗 Roku Deep Link Tester') + '\n' +
     chalk.gray('Professional certification testing tool') + '\n' +
@@ -120,7 +505,7 @@ function showBanner() {
       borderColor: 'blue'
     }
   )
-  console.log(banner)
+  notice(options, banner)
 }
 
 function showExamples() {
@@ -131,24 +516,82 @@ function showExamples() {
   
   console.log(chalk.yellow('Test signed-in app with RASP script:'))
   console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --signed-in --script ./signin.rasp\n'))
+
+  console.log(chalk.yellow('Check a RASP script in CI, failing on warnings too:'))
+  console.log(chalk.gray('roku-deep-link validate-script ./signin.rasp --strict\n'))
+
+  console.log(chalk.yellow('Reuse one sign-in script for another app by overriding a RASP variable:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --signed-in --script ./signin.rasp --rasp-var menu_downs=4\n'))
   
   console.log(chalk.yellow('Test with retry for flaky apps:'))
   console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --retry\n'))
   
+  console.log(chalk.yellow('Up to 3 attempts with backoff and a Home reset between attempts:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --retry 3 --retry-delay 5000 --retry-reset home\n'))
+  
+  console.log(chalk.yellow('Sideload the latest build, then test it:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --sideload ./build/channel.zip --dev-password "$ROKU_DEV_PASSWORD" --content 1234 --type movie\n'))
+  
+  console.log(chalk.yellow('Keep screenshots of the screen after each deep link and on failure:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --screenshots --artifacts-dir ./artifacts --dev-password "$ROKU_DEV_PASSWORD"\n'))
+  
   console.log(chalk.yellow('Test published channel:'))
   console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --app 151908 --content 1234 --type movie\n'))
   
+  console.log(chalk.yellow('Confirm playback via the media player as well as beacons:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --verify-playback both --playback-seconds 10\n'))
+  
   console.log(chalk.yellow('Only test launch command:'))
   console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --launch-only\n'))
   
   console.log(chalk.yellow('Longer wait time for slow apps:'))
   console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --wait 60\n'))
   
+  console.log(chalk.yellow('Save the full debug console transcript for later diagnosis:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --log-file ./logs/session.log\n'))
+  
+  console.log(chalk.yellow('Test offline against the built-in mock device:'))
+  console.log(chalk.gray('roku-deep-link mock-device --ecp-port 18060 --telnet-port 18085 --scenario vod'))
+  console.log(chalk.gray('roku-deep-link --ip 127.0.0.1 --ecp-port 18060 --telnet-port 18085 --content 1234 --type movie\n'))
+  
+  console.log(chalk.yellow('JUnit XML report for CI dashboards:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --test-id nightly --reporter junit --output ./reports/deep-links.xml\n'))
+  
+  console.log(chalk.yellow('Shareable HTML certification report:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --html ./reports/certification.html\n'))
+  
   console.log(chalk.yellow('CI/CD with test tracking:'))
   console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --test-id "nightly-$(date +%Y%m%d)" --json --no-banner\n'))
   
-  console.log(chalk.yellow('Monitor additional custom beacon:'))
-  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --expect-beacon AppCustomEvent\n'))
+  console.log(chalk.yellow('Find devices on the network and test one by name or serial:'))
+  console.log(chalk.gray('roku-deep-link discover'))
+  console.log(chalk.gray('roku-deep-link --device "Living Room Ultra" --content 1234 --type movie\n'))
+  
+  console.log(chalk.yellow('Test several devices in parallel:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114,192.168.1.115 --content 1234 --type movie'))
+  console.log(chalk.gray('roku-deep-link run-suite ./deep-links.yaml --devices ./devices.yaml --concurrency 2\n'))
+  
+  console.log(chalk.yellow('Run a suite of deep link cases from a manifest:'))
+  console.log(chalk.gray('roku-deep-link run-suite ./deep-links.yaml --ip 192.168.1.114\n'))
+  
+  console.log(chalk.yellow('Hold launches to a stricter internal budget, warning only while phasing it in:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --launch-budget 10 --video-start-budget 5 --timing-mode warn\n'))
+  
+  console.log(chalk.yellow('Measure cold-start timing over 10 runs, judged at p90:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --iterations 10 --cooldown 10 --percentile 90\n'))
+  
+  console.log(chalk.yellow('Save a release baseline, then fail builds that launch more than 15% slower:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --iterations 5 --save-baseline ./baselines/release-2.3.json'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --iterations 5 --baseline ./baselines/release-2.3.json --max-regression 15%\n'))
+  
+  console.log(chalk.yellow('Check that bogus content IDs and media types do not crash the app:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --negative\n'))
+  
+  console.log(chalk.yellow('Deep link a series (no playback) and check its details screen with custom profiles:'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content series-42 --type series --media-types ./media-types.yaml\n'))
+  
+  console.log(chalk.yellow('Require additional custom beacons (names or /regex/):'))
+  console.log(chalk.gray('roku-deep-link --ip 192.168.1.114 --content 1234 --type movie --expect-beacon AppCustomEvent --expect-beacon "/AdPod(Start|Begin)/"\n'))
   
   console.log(chalk.bold.blue('📝 More examples: https://github.com/pkgrelease/roku-deep-link-tester/examples'))
 }
@@ -157,66 +600,42 @@ function showResults(results) {
   console.log('\n' + chalk.bold.blue('📊 Test Results Summary'))
   console.log('='.repeat(50))
   
-  results.tests.forEach(test => {
-    const status = test.passed ? chalk.green('✅ PASS') : chalk.red('❌ FAIL')
-    const duration = test.duration ? chalk.gray(` (${test.duration}ms)`) : ''
-    console.log(`${status} ${test.testName || test.name}${duration}`)
-    
-    if (!test.passed && test.error) {
-      console.log(chalk.red(`   Error: ${test.error}`))
-    }
-    
-    if (test.beaconsReceived && test.beaconsReceived.length > 0) {
-      console.log(chalk.cyan(`   Beacons: ${test.beaconsReceived.join(', ')}`))
-    }
-    
-    // Show timing data from beacons
-    if (test.beaconTimings && Object.keys(test.beaconTimings).length > 0) {
-      console.log(chalk.blue('   Timing Data:'))
-      
-      if (test.beaconTimings.AppLaunchComplete) {
-        const time = test.beaconTimings.AppLaunchComplete
-        console.log(chalk.blue(`     App Launch: ${time}ms (${(time/1000).toFixed(1)}s)`))
-      }
-      
-      if (test.beaconTimings.VODStartInitiate) {
-        const time = test.beaconTimings.VODStartInitiate
-        console.log(chalk.blue(`     VOD Initiate: ${time}ms (${(time/1000).toFixed(1)}s) TimeBase`))
-      }
-      
-      if (test.beaconTimings.VODStartComplete) {
-        const time = test.beaconTimings.VODStartComplete
-        const isWithinLimit = time <= 8000
-        const color = isWithinLimit ? chalk.green : chalk.red
-        const status = isWithinLimit ? '✅ PASS' : '❌ EXCEEDS 8s LIMIT'
-        console.log(color(`     VOD Complete: ${time}ms (${(time/1000).toFixed(1)}s) - ${status}`))
+  if (results.devices) {
+    results.devices.forEach(deviceResults => {
+      const { name, ip } = deviceResults.device
+      console.log(chalk.bold(`\n🖥️  ${name} (${ip})`))
+      if (deviceResults.error) {
+        console.log(chalk.red(`   Error: ${deviceResults.error}`))
       }
+      showPreflight(deviceResults)
+      deviceResults.tests.forEach(showTest)
+      showIterations(deviceResults.iterations)
+      showBaseline(deviceResults.baseline)
+    })
+  } else {
+    showPreflight(results)
+    results.tests.forEach(showTest)
+    if (results.cases) {
+      results.cases.forEach(caseResult => showIterations(caseResult.iterations, caseResult.name))
     }
-    
-    if (test.expectedBeacons && test.expectedBeacons.length > 1) {
-      console.log(chalk.gray(`   Expected: ${test.expectedBeacons.join(', ')}`))
-    }
-    
-    // Show VOD playback status for movie/episode content
-    if (test.expectedBeacons && test.expectedBeacons.includes('VODStartComplete')) {
-      const vodSuccess = test.beaconsReceived && test.beaconsReceived.includes('VODStartComplete')
-      const vodStatus = vodSuccess ? chalk.green('✅ Playback Started') : chalk.red('❌ Playback Failed')
-      console.log(`   ${vodStatus}`)
-    }
-    
-    // Show telnet logs for failed tests
-    if (!test.passed && test.recentTelnetLogs && test.recentTelnetLogs.length > 0) {
-      console.log(chalk.gray('   Recent telnet logs:'))
-      test.recentTelnetLogs.slice(-3).forEach(log => {
-        console.log(chalk.gray(`     ${log}`))
-      })
-    }
-  })
+    showIterations(results.iterations)
+    showBaseline(results.baseline)
+  }
   
   console.log('\n' + chalk.bold('📈 Summary:'))
+  if (results.devices) {
+    console.log(`Devices: ${results.passedDevices}/${results.totalDevices} passed`)
+  }
+  if (results.cases) {
+    console.log(`Suite: ${results.suite}`)
+    console.log(`Cases: ${results.passedCases}/${results.totalCases} passed`)
+  }
   console.log(`Total Tests: ${results.totalTests}`)
   console.log(`Passed: ${chalk.green(results.passedTests)}`)
   console.log(`Failed: ${chalk.red(results.failedTests)}`)
+  if (results.flakyTests) {
+    console.log(`Flaky: ${chalk.yellow(results.flakyTests)}`)
+  }
   
   if (results.success) {
     console.log(chalk.green.bold('\n🎉 All tests passed! Your app meets deep linking certification requirements.'))
@@ -227,6 +646,218 @@ function showResults(results) {
   if (results.signInDuration) {
     console.log(chalk.blue(`\n🔐 Sign-in completed in ${results.signInDuration}ms`))
   }
+
+  if (results.configuration && results.configuration.logFile) {
+    console.log(chalk.gray(`\n📝 Session log: ${results.configuration.logFile}`))
+  }
+}
+
+// Timing distribution over --iterations runs, and the percentile verdict
+function showIterations(iterations, caseName = null) {
+  if (!iterations) {
+    return
+  }
+
+  const percent = (rate) => `${Math.round(rate * 100)}%`
+  const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`
+  const title = caseName ? ` - ${caseName}` : ''
+  console.log('\n' + chalk.bold.blue(`📉 Timing Distribution${title} (${iterations.completed}/${iterations.count} runs, verdict at p${iterations.percentile})`))
+  console.log(`Pass rate: ${iterations.passRate === 1 ? chalk.green(percent(1)) : chalk.yellow(percent(iterations.passRate))} (${iterations.passedRuns}/${iterations.totalRuns} tests)`)
+
+  iterations.tests.forEach(test => {
+    console.log(chalk.bold(`\n   ${test.testName}`) + chalk.gray(` - ${test.passed}/${test.runs} passed`))
+    Object.values(test.timings).forEach(timing => {
+      const field = timing.field ? ` ${timing.field}` : ''
+      console.log(`     ${`${timing.label}${field}`.padEnd(32)} min ${seconds(timing.min)}  median ${seconds(timing.median)}  p95 ${seconds(timing.p95)}  max ${seconds(timing.max)}  σ ${seconds(timing.stddev)}  (n=${timing.count})`)
+    })
+    test.checks.forEach(check => {
+      const name = check.kind === 'budget' ? check.name : `Req ${check.id} ${check.name}`
+      const line = `${name}: p${check.percentile} ${seconds(check.actual)} / ${check.limit / 1000}s limit`
+      console.log(check.passed ? chalk.green(`     ✅ ${line}`) : chalk.red(`     ❌ ${line}`))
+    })
+  })
+}
+
+// Per test and beacon change against --baseline
+function showBaseline(baseline) {
+  if (!baseline) {
+    return
+  }
+
+  const verdict = baseline.passed ? chalk.green('no regressions') : chalk.red('REGRESSED')
+  console.log('\n' + chalk.bold.blue(`📐 Baseline "${baseline.name}" (max regression ${baseline.maxRegression}): `) + verdict)
+
+  baseline.tests.forEach(test => {
+    if (!test.inBaseline) {
+      console.log(chalk.gray(`   ${test.test}: not in the baseline`))
+      return
+    }
+    console.log(chalk.bold(`   ${test.test}`))
+    test.beacons.forEach(beacon => {
+      if (beacon.actual === null) {
+        console.log(chalk.gray(`     ${beacon.label}: ${beacon.baseline}ms -> not received`))
+        return
+      }
+      const sign = beacon.change > 0 ? '+' : ''
+      const percent = beacon.changePercent !== null ? `, ${sign}${beacon.changePercent}%` : ''
+      const line = `${beacon.label}: ${beacon.baseline}ms -> ${beacon.actual}ms (${sign}${beacon.change}ms${percent})`
+      console.log(beacon.regressed ? chalk.red(`     ❌ ${line}`) : chalk.green(`     ✅ ${line}`))
+    })
+  })
+}
+
+// Sideload outcome, device and app under test, plus any failed pre-flight checks
+function showPreflight(results) {
+  const sideload = results.sideload
+  if (sideload) {
+    console.log(sideload.passed
+      ? chalk.green(`📦 Sideloaded ${sideload.package}: ${sideload.message} (${sideload.installTime}ms)`)
+      : chalk.red(`❌ Sideload of ${sideload.package} failed: ${sideload.error}`))
+  }
+
+  const device = results.deviceInfo
+  if (device) {
+    const mode = device.developerEnabled ? 'developer mode on' : 'developer mode off'
+    console.log(chalk.gray(`Device: ${device.friendlyName || device.modelName} - ${device.modelName} (${device.modelNumber}), OS ${device.softwareVersion}, ${mode}`))
+  }
+
+  const apps = results.apps || (results.appInfo ? [results.appInfo] : [])
+  apps.filter(app => app.installed).forEach(app => {
+    console.log(chalk.gray(`App: ${app.name || app.id} (${app.id})${app.version ? ` v${app.version}` : ''}`))
+  })
+
+  if (results.preflight && !results.preflight.passed) {
+    console.log(chalk.red('❌ Pre-flight checks failed:'))
+    results.preflight.checks.filter(check => !check.passed).forEach(check => {
+      console.log(chalk.red(`   ${check.name}: ${check.message}`))
+    })
+  }
+
+  const signIn = results.signIn
+  if (signIn && !signIn.passed) {
+    const step = signIn.failedStep
+    console.log(chalk.red(`❌ Sign-in failed${step ? ` at ${step.location} (${step.description})` : ''}: ${step ? step.error : signIn.error}`))
+  }
+  if (signIn) {
+    signIn.failures.filter(failure => failure.action !== 'abort').forEach(failure => {
+      console.log(chalk.yellow(`⚠️  Sign-in ${failure.location} failed (on_failure: ${failure.action}): ${failure.error}`))
+    })
+  }
+}
+
+function showTest(test) {
+  const status = test.passed ? chalk.green('✅ PASS') : chalk.red('❌ FAIL')
+  const duration = test.duration ? chalk.gray(` (${test.duration}ms)`) : ''
+  const caseLabel = test.caseName ? chalk.gray(`[${test.caseName}] `) : ''
+  const runLabel = test.iteration ? chalk.gray(` [run ${test.iteration}]`) : ''
+  console.log(`${status} ${caseLabel}${test.testName || test.name}${runLabel}${duration}`)
+  
+  if (!test.passed && test.error) {
+    console.log(chalk.red(`   Error: ${test.error}`))
+  }
+
+  if (test.negative) {
+    console.log(chalk.gray(`   Negative scenario: ${test.command} with contentId=${test.params.contentId}, mediaType=${test.params.mediaType}`))
+  }
+
+  if (test.landing) {
+    const landing = test.landing.passed ? chalk.green(`✅ ${test.landing.line}`) : chalk.red(`❌ no line matching ${test.landing.pattern}`)
+    console.log(`   Landing: ${landing}`)
+  }
+
+  if (test.crash && test.crash.detected) {
+    test.crash.lines.slice(0, 3).forEach(line => console.log(chalk.red(`   💥 ${line}`)))
+  }
+
+  if (test.attempts && test.attempts.length > 1) {
+    const flaky = test.flaky ? chalk.yellow(' - FLAKY (passed on retry)') : ''
+    console.log(chalk.gray(`   Attempts: ${test.attempts.length}`) + flaky)
+  }
+  
+  if (test.beaconsReceived && test.beaconsReceived.length > 0) {
+    console.log(chalk.cyan(`   Beacons: ${test.beaconsReceived.join(', ')}`))
+  }
+
+  if (test.customBeacons && test.customBeacons.length > 0) {
+    const custom = test.customBeacons.map(beacon => {
+      const received = test.beaconsReceived && test.beaconsReceived.includes(beacon)
+      return received ? chalk.green(`✅ ${beacon}`) : chalk.red(`❌ ${beacon}`)
+    })
+    console.log(`   Custom beacons: ${custom.join(', ')}`)
+  }
+  
+  // Show timing data from beacons, labelled by the beacon registry
+  if (test.beaconTimings && Object.keys(test.beaconTimings).length > 0) {
+    console.log(chalk.blue('   Timing Data:'))
+
+    Object.entries(test.beaconTimings).forEach(([name, time]) => {
+      if (time === null || time === undefined) {
+        return
+      }
+
+      const definition = BeaconRegistry.defaultRegistry.get(name) || { label: name }
+      const seconds = (time / 1000).toFixed(1)
+      const checks = (test.checks || []).filter(check => check.beacon === name)
+
+      if (checks.length > 0) {
+        const verdicts = checks.map(check => {
+          const limit = `${check.kind === 'budget' ? 'budget' : `Req ${check.id}`} ${check.limit / 1000}s`
+          return check.passed ? chalk.green(`✅ ${limit}`) : chalk.red(`❌ EXCEEDS ${limit}`)
+        })
+        const color = checks.every(check => check.passed) ? chalk.green : chalk.red
+        console.log(`${color(`     ${definition.label}: ${time}ms (${seconds}s)`)} - ${verdicts.join(', ')}`)
+      } else {
+        const kind = definition.primaryTiming === 'TimeBase' ? ' TimeBase' : ''
+        console.log(chalk.blue(`     ${definition.label}: ${time}ms (${seconds}s)${kind}`))
+      }
+    })
+  }
+  
+  if (test.expectedBeacons && test.expectedBeacons.length > 1) {
+    console.log(chalk.gray(`   Expected: ${test.expectedBeacons.join(', ')}`))
+  }
+  
+  // Independent playback check from /query/media-player
+  if (test.playback && test.playback.player) {
+    const player = test.playback.player
+    const verdict = player.passed
+      ? chalk.green(`✅ Player: playing after ${player.timeToPlay}ms, position advanced ${(player.advancedMs / 1000).toFixed(1)}s`)
+      : chalk.red(`❌ Player: ${player.error}`)
+    const beacons = test.playback.beacons ? chalk.green('✅ Beacons') : chalk.red('❌ Beacons')
+    console.log(`   ${beacons} | ${verdict} ${chalk.gray(`(mode: ${test.playback.mode})`)}`)
+  }
+
+  if (test.screenshots) {
+    test.screenshots.forEach(shot => {
+      console.log(shot.path ? chalk.gray(`   📷 ${shot.path}`) : chalk.yellow(`   📷 Screenshot failed: ${shot.error}`))
+    })
+  }
+
+  // Foreground app after the deep link (and any changes while waiting)
+  if (test.activeApp && test.activeApp.final) {
+    const final = test.activeApp.final
+    const label = final.screensaver ? `screensaver ${final.screensaver}` : (final.home ? 'Home screen' : `${final.name} (${final.appId})`)
+    const changes = test.activeApp.transitions.length > 1
+      ? chalk.gray(` - ${test.activeApp.transitions.map(t => t.screensaver ? 'screensaver' : (t.home ? 'home' : t.appId)).join(' → ')}`)
+      : ''
+    console.log((test.activeApp.passed ? chalk.green('   ✅ Foreground: ') : chalk.red('   ❌ Foreground: ')) + label + changes)
+  }
+
+  // Show playback status for movie/episode content
+  if (test.expectedBeacons && test.expectedBeacons.includes('VideoPlaybackStart')) {
+    const playbackStatus = test.playbackStarted
+      ? chalk.green(`✅ ${test.detectedContentType || 'Video'} Playback Started`)
+      : chalk.red('❌ Playback Failed')
+    console.log(`   ${playbackStatus}`)
+  }
+  
+  // Show telnet logs for failed tests
+  if (!test.passed && test.recentTelnetLogs && test.recentTelnetLogs.length > 0) {
+    console.log(chalk.gray('   Recent telnet logs:'))
+    test.recentTelnetLogs.slice(-3).forEach(log => {
+      console.log(chalk.gray(`     ${log}`))
+    })
+  }
 }
 
 // Handle Ctrl+C gracefully
@@ -6,10 +6,51 @@
 const RokuDeepLinkTester = require('./lib/tester')
 const RaspRunner = require('./lib/rasp-runner')
 const RaspValidator = require('./lib/rasp-validator')
+const RaspScript = require('./lib/rasp-script')
+const RaspSchema = require('./lib/rasp-schema')
+const Secrets = require('./lib/secrets')
+const TimingPolicy = require('./lib/timing-policy')
+const MediaTypes = require('./lib/media-types')
+const TestSuite = require('./lib/test-suite')
+const BeaconRegistry = require('./lib/beacon-registry')
+const MockRokuDevice = require('./lib/mock-device')
+const JUnitReporter = require('./lib/junit-reporter')
+const HtmlReporter = require('./lib/html-reporter')
+const DevicePool = require('./lib/device-pool')
+const EcpClient = require('./lib/ecp-client')
+const DeviceDiscovery = require('./lib/discovery')
+const Preflight = require('./lib/preflight')
+const PlaybackVerifier = require('./lib/playback-verifier')
+const ActiveAppMonitor = require('./lib/active-app-monitor')
+const DevInstaller = require('./lib/dev-installer')
+const ScreenshotRecorder = require('./lib/screenshot-recorder')
 
 module.exports = RokuDeepLinkTester
 module.exports.RaspRunner = RaspRunner
 module.exports.RaspValidator = RaspValidator
+module.exports.RaspScript = RaspScript
+module.exports.RaspSchema = RaspSchema
+module.exports.Secrets = Secrets
+module.exports.TimingPolicy = TimingPolicy
+module.exports.MediaTypes = MediaTypes
+module.exports.TestSuite = TestSuite
+module.exports.BeaconRegistry = BeaconRegistry
+module.exports.MockRokuDevice = MockRokuDevice
+module.exports.JUnitReporter = JUnitReporter
+module.exports.HtmlReporter = HtmlReporter
+module.exports.DevicePool = DevicePool
+module.exports.EcpClient = EcpClient
+module.exports.DeviceDiscovery = DeviceDiscovery
+module.exports.Preflight = Preflight
+module.exports.PlaybackVerifier = PlaybackVerifier
+module.exports.ActiveAppMonitor = ActiveAppMonitor
+module.exports.DevInstaller = DevInstaller
+module.exports.ScreenshotRecorder = ScreenshotRecorder
+
+// Register extra beacon definitions for every tester created afterwards
+module.exports.beacons = BeaconRegistry.defaultRegistry
+module.exports.registerBeacon = (definition) => BeaconRegistry.defaultRegistry.register(definition)
+module.exports.registerBeaconGroup = (name, group) => BeaconRegistry.defaultRegistry.registerGroup(name, group)
 
 // Export for easier programmatic usage
 module.exports.createTester = (options) => new RokuDeepLinkTester(options)
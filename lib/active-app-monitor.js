@@ -0,0 +1,147 @@
+// Human-readable name for an /query/active-app result
+function describeApp(app) {
+  if (!app) {
+    return 'unknown'
+  }
+  if (app.screensaver) {
+    return `the screensaver (${app.screensaver.name || app.screensaver.id})`
+  }
+  if (app.home) {
+    return 'the Home screen'
+  }
+  return `${app.name || app.id} (${app.id})`
+}
+
+// Tracks the foreground app while a deep link runs. Polls ECP /query/active-app,
+// records every change, and judges whether the expected app stayed in front.
+class ActiveAppMonitor {
+  constructor(client, expectedAppId, options = {}) {
+    this.client = client
+    this.expectedAppId = String(expectedAppId)
+    this.interval = options.interval || 1000
+    // Keep watching at least this long, so an app that exits right after its
+    // launch beacon is still caught
+    this.settleTime = options.settleTime !== undefined ? options.settleTime : 2000
+    this.transitions = []
+    this.queryError = null
+    this.last = null
+    this.startedAt = null
+    this.timer = null
+    this.polling = null
+  }
+
+  static describe(app) {
+    return describeApp(app)
+  }
+
+  isExpected(app) {
+    return Boolean(app) && !app.home && !app.screensaver && app.id === this.expectedAppId
+  }
+
+  start() {
+    this.startedAt = Date.now()
+    this.timer = null
+    this.poll()
+    return this
+  }
+
+  poll() {
+    this.polling = this.sample().then(() => {
+      // stop() sets timer to false
+      if (this.timer !== false) {
+        this.timer = setTimeout(() => this.poll(), this.interval)
+      }
+    })
+  }
+
+  async sample() {
+    if (this.startedAt === null) {
+      this.startedAt = Date.now()
+    }
+
+    let app
+    try {
+      app = await this.client.activeApp()
+    } catch (error) {
+      this.queryError = error.message
+      return null
+    }
+
+    const key = app.screensaver ? `ssvr:${app.screensaver.id}` : (app.id || 'home')
+    const lastKey = this.last && (this.last.screensaver ? `ssvr:${this.last.screensaver.id}` : (this.last.id || 'home'))
+    if (key !== lastKey) {
+      this.transitions.push({
+        at: Date.now() - this.startedAt,
+        appId: app.id,
+        name: app.name,
+        home: app.home,
+        screensaver: app.screensaver ? app.screensaver.name || app.screensaver.id : null
+      })
+    }
+    this.last = app
+    return app
+  }
+
+  // Stop polling, take a final sample and return the verdict
+  async stop() {
+    const remaining = this.settleTime - (Date.now() - this.startedAt)
+    if (remaining > 0) {
+      await new Promise(resolve => setTimeout(resolve, remaining))
+    }
+
+    clearTimeout(this.timer)
+    this.timer = false
+    await this.polling
+    await this.sample()
+
+    const expected = this.expectedAppId
+    const result = {
+      expectedAppId: expected,
+      passed: false,
+      error: null,
+      final: this.last ? ActiveAppMonitor.summarize(this.last) : null,
+      transitions: this.transitions
+    }
+
+    if (!this.last) {
+      result.error = `Could not query the active app: ${this.queryError}`
+      return result
+    }
+
+    // The app reached the foreground and then something else replaced it
+    const reachedAt = this.transitions.findIndex(transition => transition.appId === expected && !transition.home && !transition.screensaver)
+    const exit = reachedAt >= 0
+      ? this.transitions.slice(reachedAt + 1).find(transition => transition.appId !== expected || transition.screensaver)
+      : null
+
+    if (exit) {
+      result.error = `App ${expected} exited to ${describeApp(ActiveAppMonitor.toApp(exit))} ${(exit.at / 1000).toFixed(1)}s after the deep link`
+    } else if (!this.isExpected(this.last)) {
+      result.error = `App ${expected} is not in the foreground - ${describeApp(this.last)} is active`
+    } else {
+      result.passed = true
+    }
+    return result
+  }
+
+  static summarize(app) {
+    return {
+      appId: app.id,
+      name: app.name,
+      version: app.version,
+      home: app.home,
+      screensaver: app.screensaver ? app.screensaver.name || app.screensaver.id : null
+    }
+  }
+
+  static toApp(transition) {
+    return {
+      id: transition.appId,
+      name: transition.name,
+      home: transition.home,
+      screensaver: transition.screensaver ? { name: transition.screensaver } : null
+    }
+  }
+}
+
+module.exports = ActiveAppMonitor
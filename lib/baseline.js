@@ -0,0 +1,165 @@
+const fs = require('fs').promises
+const path = require('path')
+const TimingStats = require('./timing-stats')
+
+// "15%" or "15" -> { percent: 15 }; "500ms" -> { ms: 500 }
+function parseTolerance(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(%|ms)?$/)
+  if (!match) {
+    throw new Error(`Invalid regression tolerance "${value}" - use a percentage such as 15% or a time such as 500ms`)
+  }
+  return match[2] === 'ms' ? { ms: parseFloat(match[1]) } : { percent: parseFloat(match[1]) }
+}
+
+function describeTolerance(tolerance) {
+  return tolerance.ms !== undefined ? `${tolerance.ms}ms` : `${tolerance.percent}%`
+}
+
+// Suite cases share test names, so their keys carry the case name
+function testKey(test) {
+  return test.caseName ? `${test.caseName} / ${test.testName}` : test.testName
+}
+
+// { testKey: { samples, timings: { beacon: median ms } } } over every run of each test
+// (iterations, suite cases and devices all contribute samples)
+function collectTimings(tests) {
+  const collected = {}
+  tests.forEach(test => {
+    const entry = collected[testKey(test)] = collected[testKey(test)] || { samples: 0, values: {} }
+    entry.samples++
+    Object.entries(test.beaconTimings || {}).forEach(([beacon, ms]) => {
+      if (typeof ms === 'number') {
+        (entry.values[beacon] = entry.values[beacon] || []).push(ms)
+      }
+    })
+  })
+
+  return Object.fromEntries(Object.entries(collected).map(([key, entry]) => [key, {
+    samples: entry.samples,
+    timings: Object.fromEntries(Object.entries(entry.values).map(([beacon, values]) => [beacon, TimingStats.summarize(values).median]))
+  }]))
+}
+
+// Beacon timings saved from one run (--save-baseline) and compared against
+// later runs (--baseline), so a release gate catches builds that get slower
+// while still staying under the certification limits.
+class Baseline {
+  constructor(data = {}) {
+    this.name = data.name || 'baseline'
+    this.createdAt = data.createdAt || new Date().toISOString()
+    this.source = data.source || {}
+    this.tests = data.tests || {}
+  }
+
+  static parseTolerance(value) {
+    return parseTolerance(value)
+  }
+
+  static testKey(test) {
+    return testKey(test)
+  }
+
+  static async load(filePath) {
+    let data
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Baseline file not found: ${filePath}`)
+      }
+      throw new Error(`Failed to parse baseline file: ${error.message}`)
+    }
+
+    if (!data || typeof data.tests !== 'object' || Object.keys(data.tests).length === 0) {
+      throw new Error(`Baseline file ${filePath} has no test timings`)
+    }
+    return new Baseline(data)
+  }
+
+  // Works with single-device, suite and multi-device results alike
+  static fromResults(results, options = {}) {
+    const configuration = results.configuration || {}
+    const source = {
+      testId: results.testId,
+      suite: results.suite,
+      app: configuration.app,
+      contentId: configuration.contentId,
+      mediaType: configuration.mediaType,
+      devices: configuration.devices
+    }
+
+    return new Baseline({
+      name: options.name,
+      source: Object.fromEntries(Object.entries(source).filter(([, value]) => value !== undefined && value !== null)),
+      tests: collectTimings(results.tests || [])
+    })
+  }
+
+  async save(filePath) {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true })
+    await fs.writeFile(filePath, JSON.stringify(this.toJSON(), null, 2) + '\n', 'utf8')
+  }
+
+  // Per test and per beacon: { beacon, baseline, actual, change, changePercent, regressed }.
+  // Beacons the baseline doesn't have, and tests it never ran, are not compared.
+  compare(tests, tolerance = { percent: 10 }, registry = null) {
+    const current = collectTimings(tests)
+    const label = (beacon) => {
+      const definition = registry && registry.get(beacon)
+      return definition ? definition.label : beacon
+    }
+
+    const comparisons = Object.entries(current).map(([key, entry]) => {
+      const saved = this.tests[key]
+      if (!saved) {
+        return { test: key, inBaseline: false, passed: true, beacons: [] }
+      }
+
+      const beacons = Object.entries(saved.timings).map(([beacon, baseline]) => {
+        const actual = entry.timings[beacon]
+        if (actual === undefined) {
+          return { beacon, label: label(beacon), baseline, actual: null, change: null, changePercent: null, regressed: false }
+        }
+
+        const change = actual - baseline
+        const allowed = tolerance.ms !== undefined ? tolerance.ms : baseline * tolerance.percent / 100
+        return {
+          beacon,
+          label: label(beacon),
+          baseline,
+          actual,
+          change,
+          changePercent: baseline > 0 ? Math.round((change / baseline) * 1000) / 10 : null,
+          regressed: change > allowed
+        }
+      })
+
+      return { test: key, inBaseline: true, passed: beacons.every(beacon => !beacon.regressed), beacons }
+    })
+
+    return {
+      name: this.name,
+      createdAt: this.createdAt,
+      maxRegression: describeTolerance(tolerance),
+      passed: comparisons.every(comparison => comparison.passed),
+      tests: comparisons
+    }
+  }
+
+  // "App Launch regressed 1850ms -> 2400ms (+29.7%)"
+  static describeRegression(beacon) {
+    const percent = beacon.changePercent !== null ? ` (+${beacon.changePercent}%)` : ''
+    return `${beacon.label} regressed ${beacon.baseline}ms -> ${beacon.actual}ms${percent}`
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      createdAt: this.createdAt,
+      source: this.source,
+      tests: this.tests
+    }
+  }
+}
+
+module.exports = Baseline
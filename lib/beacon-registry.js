@@ -0,0 +1,197 @@
+// Groups describe how beacons relate to each other. Playback groups are the
+// beacon sets that count as "video playback started" for movie/episode tests.
+const DEFAULT_GROUPS = {
+  launch: { label: 'Launch' },
+  dialog: { label: 'Dialog' },
+  vod: { label: 'VOD', playback: true },
+  live: { label: 'Live', playback: true },
+  custom: { label: 'Custom' }
+}
+
+const DEFAULT_BEACONS = [
+  {
+    name: 'AppLaunchComplete',
+    group: 'launch',
+    label: 'App Launch',
+    timings: ['Duration'],
+    // AppLaunchComplete without a Duration is not the certification beacon
+    requireTiming: true,
+    limit: 15000,
+    requirement: '3.2',
+    requirementText: 'Apps must launch within 15 seconds'
+  },
+  {
+    name: 'AppDialogInitiate',
+    group: 'dialog',
+    label: 'Dialog Initiate'
+  },
+  {
+    name: 'AppDialogComplete',
+    group: 'dialog',
+    label: 'Dialog Complete',
+    timings: ['Duration']
+  },
+  {
+    name: 'VODStartInitiate',
+    group: 'vod',
+    label: 'VOD Initiate',
+    role: 'initiate',
+    timings: ['TimeBase']
+  },
+  {
+    name: 'VODStartComplete',
+    group: 'vod',
+    label: 'VOD Playback Start',
+    role: 'complete',
+    timings: ['Duration'],
+    limit: 8000,
+    requirement: '3.6',
+    requirementText: 'Apps must start playing content within 8 seconds'
+  },
+  {
+    name: 'LiveStartInitiate',
+    group: 'live',
+    label: 'Live Initiate',
+    role: 'initiate',
+    timings: ['TimeBase']
+  },
+  {
+    name: 'LiveStartComplete',
+    group: 'live',
+    label: 'Live Playback Start',
+    role: 'complete',
+    timings: ['Duration'],
+    limit: 8000,
+    requirement: '3.6',
+    requirementText: 'Apps must start playing content within 8 seconds'
+  }
+]
+
+class BeaconRegistry {
+  constructor(definitions = DEFAULT_BEACONS, groups = DEFAULT_GROUPS) {
+    this.groups = {}
+    this.definitions = new Map()
+
+    Object.entries(groups).forEach(([name, group]) => this.registerGroup(name, group))
+    definitions.forEach(definition => this.register(definition))
+  }
+
+  // Extract Duration(1234 ms) / TimeBase(1234 ms) style values from a log line
+  static extractTiming(line, field) {
+    const regex = new RegExp(`${field}\\((\\d+)\\s*ms\\)`)
+    const match = line.match(regex)
+    return match ? parseInt(match[1]) : null
+  }
+
+  // Plain names match as whole words; anything else must be a RegExp
+  static toPattern(name, pattern) {
+    if (pattern instanceof RegExp) {
+      return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''))
+    }
+    const source = pattern || name
+    const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return new RegExp(`\\b${escaped}\\b`)
+  }
+
+  registerGroup(name, group = {}) {
+    this.groups[name] = { name, label: group.label || name, playback: Boolean(group.playback) }
+    return this
+  }
+
+  register(definition) {
+    if (!definition || !definition.name) {
+      throw new Error('Beacon definition requires a name')
+    }
+
+    const group = definition.group || 'custom'
+    if (!this.groups[group]) {
+      throw new Error(`Unknown beacon group "${group}" for ${definition.name}. Register it with registerGroup()`)
+    }
+    if (definition.extract && typeof definition.extract !== 'function') {
+      throw new Error(`Beacon ${definition.name}: extract must be a function`)
+    }
+
+    const timings = definition.timings || []
+    this.definitions.set(definition.name, {
+      label: definition.name,
+      role: null,
+      limit: null,
+      requirement: null,
+      requirementText: null,
+      requireTiming: false,
+      ...definition,
+      group,
+      timings,
+      // The primary timing is what gets stored in beaconTimings[name]
+      primaryTiming: definition.primaryTiming || timings[0] || null,
+      pattern: BeaconRegistry.toPattern(definition.name, definition.pattern)
+    })
+    return this
+  }
+
+  unregister(name) {
+    this.definitions.delete(name)
+    return this
+  }
+
+  has(name) {
+    return this.definitions.has(name)
+  }
+
+  get(name) {
+    return this.definitions.get(name)
+  }
+
+  list() {
+    return [...this.definitions.values()]
+  }
+
+  byGroup(group) {
+    return this.list().filter(definition => definition.group === group)
+  }
+
+  playbackGroups() {
+    return Object.values(this.groups).filter(group => group.playback)
+  }
+
+  // Find every beacon in a log line along with its extracted timing fields
+  match(line) {
+    const matches = []
+
+    this.definitions.forEach(definition => {
+      if (!definition.pattern.test(line)) {
+        return
+      }
+
+      const timings = {}
+      definition.timings.forEach(field => {
+        const value = BeaconRegistry.extractTiming(line, field)
+        if (value !== null) {
+          timings[field] = value
+        }
+      })
+      if (definition.extract) {
+        Object.assign(timings, definition.extract(line) || {})
+      }
+
+      const value = definition.primaryTiming in timings ? timings[definition.primaryTiming] : null
+      matches.push({ definition, timings, value })
+    })
+
+    return matches
+  }
+
+  clone() {
+    const copy = new BeaconRegistry([], this.groups)
+    this.definitions.forEach(definition => copy.definitions.set(definition.name, { ...definition }))
+    return copy
+  }
+}
+
+BeaconRegistry.DEFAULT_BEACONS = DEFAULT_BEACONS
+BeaconRegistry.DEFAULT_GROUPS = DEFAULT_GROUPS
+
+// Shared registry used by new testers unless one is passed in options
+BeaconRegistry.defaultRegistry = new BeaconRegistry()
+
+module.exports = BeaconRegistry
@@ -0,0 +1,224 @@
+const fs = require('fs').promises
+const path = require('path')
+const crypto = require('crypto')
+const axios = require('axios')
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex')
+
+// WWW-Authenticate: Digest realm="rokudev", nonce="...", qop="auth"
+function parseChallenge(header) {
+  const match = String(header || '').match(/^\s*Digest\s+(.*)$/i)
+  if (!match) {
+    return null
+  }
+
+  const challenge = {}
+  match[1].replace(/([\w-]+)=(?:"([^"]*)"|([^\s,]*))/g, (_, name, quoted, plain) => {
+    challenge[name.toLowerCase()] = quoted !== undefined ? quoted : plain
+  })
+  return challenge
+}
+
+// Authorization header answering a digest challenge (RFC 2617, MD5)
+function digestAuthorization(challenge, { method, uri, username, password, cnonce, nc = '00000001' }) {
+  const ha1 = md5(`${username}:${challenge.realm}:${password}`)
+  const ha2 = md5(`${method}:${uri}`)
+  const qop = challenge.qop ? challenge.qop.split(',').map(value => value.trim()).find(value => value === 'auth') : null
+  cnonce = cnonce || crypto.randomBytes(8).toString('hex')
+
+  const response = qop
+    ? md5(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : md5(`${ha1}:${challenge.nonce}:${ha2}`)
+
+  const parts = [
+    `username="${username}"`,
+    `realm="${challenge.realm}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    'algorithm="MD5"',
+    `response="${response}"`
+  ]
+  if (qop) {
+    parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`)
+  }
+  if (challenge.opaque) {
+    parts.push(`opaque="${challenge.opaque}"`)
+  }
+  return `Digest ${parts.join(', ')}`
+}
+
+// The installer page reports its outcome through Roku.Message calls
+// ('Set message content', 'Install Success.'), or <font> tags on older firmware
+function parseInstallResult(html) {
+  const messages = []
+  const scriptPattern = /'Set message type',\s*'([^']*)'\)\.trigger\('Set message content',\s*'([^']*)'/g
+  const fontPattern = /<font color="red">([^<]*)<\/font>/gi
+  let match
+
+  while ((match = scriptPattern.exec(html)) !== null) {
+    messages.push({ type: match[1], text: match[2].trim() })
+  }
+  while ((match = fontPattern.exec(html)) !== null) {
+    messages.push({ type: /fail/i.test(match[1]) ? 'error' : 'info', text: match[1].trim() })
+  }
+
+  const failure = messages.find(message => message.type === 'error' || /Install Failure|Failed/i.test(message.text))
+  const success = messages.find(message => /Install Success|Identical to previous version/i.test(message.text))
+
+  return {
+    success: Boolean(success) && !failure,
+    message: (failure || success || messages[messages.length - 1] || { text: 'No result message in the installer response' }).text,
+    messages: messages.map(message => message.text)
+  }
+}
+
+// The inspect page points at the captured image: 'Set image content', 'pkgs/dev.jpg?time=...'
+// (or <img src="pkgs/dev.jpg?time=..."> on older firmware)
+function parseScreenshotPath(html) {
+  const match = html.match(/'Set image content',\s*'([^']+)'/) || html.match(/<img\s[^>]*src="([^"]*pkgs\/[^"]+)"/i)
+  if (!match) {
+    return null
+  }
+  const uri = match[1].replace(/^\.?\/?/, '/')
+  return { uri, extension: (uri.match(/\.(\w+)(?:\?|$)/) || [null, 'jpg'])[1] }
+}
+
+// Talks to the Development Application Installer (http://<ip>/plugin_install
+// and /plugin_inspect), which uses HTTP digest auth as "rokudev"
+class DevInstaller {
+  constructor(ip, options = {}) {
+    this.ip = ip
+    this.port = parseInt(options.port) || 80
+    this.username = options.username || 'rokudev'
+    this.password = options.password
+    this.timeout = options.timeout || 120000
+    this.baseUrl = `http://${ip}${this.port === 80 ? '' : `:${this.port}`}`
+  }
+
+  static parseChallenge(header) {
+    return parseChallenge(header)
+  }
+
+  static digestAuthorization(challenge, request) {
+    return digestAuthorization(challenge, request)
+  }
+
+  static parseInstallResult(html) {
+    return parseInstallResult(html)
+  }
+
+  static parseScreenshotPath(html) {
+    return parseScreenshotPath(html)
+  }
+
+  // multipart/form-data body with the fields the installer forms submit
+  static multipartBody(submit, fileName = '', contents = Buffer.alloc(0)) {
+    const boundary = `----RokuDeepLink${crypto.randomBytes(12).toString('hex')}`
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="mysubmit"\r\n\r\n${submit}\r\n`),
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="archive"; filename="${fileName}"\r\nContent-Type: application/zip\r\n\r\n`),
+      contents,
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ])
+    return { body, contentType: `multipart/form-data; boundary=${boundary}` }
+  }
+
+  async install(zipPath) {
+    let contents
+    try {
+      contents = await fs.readFile(zipPath)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Sideload package not found: ${zipPath}`)
+      }
+      throw error
+    }
+    if (!this.password) {
+      throw new Error('A developer password is required to sideload (--dev-password)')
+    }
+
+    const startTime = Date.now()
+    const { body, contentType } = DevInstaller.multipartBody('Install', path.basename(zipPath), contents)
+    const response = await this.request('POST', '/plugin_install', { body, headers: { 'Content-Type': contentType } })
+
+    const result = parseInstallResult(String(response.data))
+    return {
+      ...result,
+      package: zipPath,
+      bytes: contents.length,
+      duration: Date.now() - startTime
+    }
+  }
+
+  // Capture the screen of the running dev channel: { data, extension }.
+  // Only sideloaded channels can be captured this way.
+  async screenshot() {
+    if (!this.password) {
+      throw new Error('A developer password is required to take screenshots (--dev-password)')
+    }
+
+    const { body, contentType } = DevInstaller.multipartBody('Screenshot')
+    const page = await this.request('POST', '/plugin_inspect', { body, headers: { 'Content-Type': contentType } })
+    const image = parseScreenshotPath(String(page.data))
+    if (!image) {
+      const { message } = parseInstallResult(String(page.data))
+      throw new Error(`No screenshot in the installer response (${message}) - is the dev channel running?`)
+    }
+
+    const response = await this.request('GET', image.uri.split('?')[0], { responseType: 'arraybuffer' })
+    return { data: Buffer.from(response.data), extension: image.extension }
+  }
+
+  // Request with a digest auth round trip: the first request only fetches the challenge
+  async request(method, uri, { body, headers = {}, responseType = 'text' } = {}) {
+    const send = (extraHeaders = {}) => axios.request({
+      method,
+      url: `${this.baseUrl}${uri}`,
+      data: body,
+      timeout: this.timeout,
+      headers: { ...headers, ...extraHeaders },
+      maxBodyLength: Infinity,
+      responseType,
+      transformResponse: [data => data],
+      validateStatus: () => true
+    })
+
+    let response
+    try {
+      response = await send()
+      const challenge = response.status === 401 && parseChallenge(response.headers['www-authenticate'])
+      if (challenge) {
+        response = await send({
+          Authorization: digestAuthorization(challenge, { method, uri, username: this.username, password: this.password })
+        })
+      }
+    } catch (error) {
+      throw new Error(this.describeError(error))
+    }
+
+    if (response.status === 401) {
+      throw new Error(`Development Application Installer at ${this.baseUrl} rejected the password for user "${this.username}" - check --dev-password`)
+    }
+    if (response.status !== 200) {
+      throw new Error(`Development Application Installer at ${this.baseUrl} returned HTTP ${response.status} for ${uri}`)
+    }
+    return response
+  }
+
+  describeError(error) {
+    switch (error.code) {
+      case 'ECONNREFUSED':
+        return `Development Application Installer at ${this.baseUrl} refused the connection - enable developer mode on the device`
+      case 'ECONNABORTED':
+      case 'ETIMEDOUT':
+        return `Development Application Installer at ${this.baseUrl} did not respond within ${this.timeout / 1000}s`
+      case 'EHOSTUNREACH':
+      case 'ENETUNREACH':
+        return `Host ${this.ip} is unreachable from this machine - check the network route to the device`
+      default:
+        return `Development Application Installer at ${this.baseUrl} failed: ${error.message}`
+    }
+  }
+}
+
+module.exports = DevInstaller
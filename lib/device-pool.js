@@ -0,0 +1,154 @@
+const fs = require('fs').promises
+const path = require('path')
+const YAML = require('yaml')
+
+// Runs the same tests against several Roku devices with a concurrency limit.
+// Each device gets its own output buffer so parallel runs don't interleave.
+class DevicePool {
+  constructor(devices, options = {}) {
+    this.devices = DevicePool.normalize(devices)
+    this.concurrency = Math.max(1, parseInt(options.concurrency) || this.devices.length)
+    this.testId = options.testId
+    // Called with { device, output, results } as soon as each device finishes
+    this.onDeviceComplete = options.onDeviceComplete || (() => {})
+  }
+
+  // "--ip 192.168.1.10,192.168.1.11" (commas or whitespace)
+  static parseIpList(value) {
+    return String(value || '').split(/[\s,]+/).filter(Boolean)
+  }
+
+  // Devices file: a list of IPs / device objects, or { devices: [...] }
+  static async load(filePath) {
+    let manifest
+    try {
+      manifest = YAML.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Devices file not found: ${filePath}`)
+      }
+      throw new Error(`Failed to parse devices file: ${error.message}`)
+    }
+
+    const devices = Array.isArray(manifest) ? manifest : manifest && manifest.devices
+    if (!Array.isArray(devices) || devices.length === 0) {
+      throw new Error('Devices file must contain a non-empty "devices" list')
+    }
+    return DevicePool.normalize(devices)
+  }
+
+  static normalize(devices) {
+    const seen = new Map()
+
+    return devices.map((device, index) => {
+      const entry = typeof device === 'string' ? { ip: device } : { ...device }
+      if (!entry.ip) {
+        throw new Error(`Device ${index + 1}: ip is required`)
+      }
+
+      // Names label output and reports, so keep them unique
+      const baseName = String(entry.name || entry.ip)
+      const count = (seen.get(baseName) || 0) + 1
+      seen.set(baseName, count)
+
+      return {
+        ...entry,
+        ip: String(entry.ip),
+        name: count > 1 ? `${baseName}-${count}` : baseName
+      }
+    })
+  }
+
+  // Tester options for one device. Per-device transcripts get the device name
+  // appended, and screenshots a subdirectory, so parallel runs don't collide.
+  optionsFor(device, options = {}) {
+    const deviceOptions = {
+      ...options,
+      ip: device.ip,
+      ecpPort: device.ecpPort || options.ecpPort,
+      telnetPort: device.telnetPort || options.telnetPort,
+      installerPort: device.installerPort || options.installerPort,
+      devPassword: device.devPassword || options.devPassword
+    }
+
+    const safeName = device.name.replace(/[^\w.-]+/g, '_')
+    if (options.logFile) {
+      const ext = path.extname(options.logFile)
+      deviceOptions.logFile = `${options.logFile.slice(0, options.logFile.length - ext.length)}-${safeName}${ext}`
+    }
+    if (options.screenshots) {
+      deviceOptions.artifactsDir = path.join(options.artifactsDir || 'artifacts', safeName)
+    }
+
+    return deviceOptions
+  }
+
+  // runDevice(device, logger) must resolve to tester results
+  async run(runDevice) {
+    const entries = new Array(this.devices.length)
+    let next = 0
+
+    const worker = async () => {
+      while (next < this.devices.length) {
+        const index = next++
+        const device = this.devices[index]
+        const output = []
+
+        let results
+        try {
+          results = await runDevice(device, (line) => output.push(line))
+        } catch (error) {
+          output.push(`Device run failed: ${error.message}`)
+          results = DevicePool.failedResults(error)
+        }
+
+        entries[index] = { device, output, results }
+        this.onDeviceComplete(entries[index])
+      }
+    }
+
+    const workers = Array.from({ length: Math.min(this.concurrency, this.devices.length) }, worker)
+    await Promise.all(workers)
+
+    return this.aggregate(entries)
+  }
+
+  static failedResults(error) {
+    return {
+      success: false,
+      error: error.message,
+      totalTests: 0,
+      passedTests: 0,
+      failedTests: 0,
+      flakyTests: 0,
+      tests: []
+    }
+  }
+
+  aggregate(entries) {
+    const sum = (field) => entries.reduce((total, { results }) => total + (results[field] || 0), 0)
+
+    return {
+      success: entries.length > 0 && entries.every(({ results }) => results.success),
+      totalDevices: entries.length,
+      passedDevices: entries.filter(({ results }) => results.success).length,
+      totalTests: sum('totalTests'),
+      passedTests: sum('passedTests'),
+      failedTests: sum('failedTests'),
+      flakyTests: sum('flakyTests'),
+      tests: entries.flatMap(({ device, results }) => results.tests.map(test => ({ ...test, device: device.name }))),
+      devices: entries.map(({ device, results }) => ({
+        device: { name: device.name, ip: device.ip },
+        ...results
+      })),
+      testId: this.testId,
+      timestamp: new Date().toISOString(),
+      configuration: {
+        devices: entries.map(({ device }) => device.name),
+        concurrency: this.concurrency
+      }
+    }
+  }
+}
+
+module.exports = DevicePool
@@ -0,0 +1,149 @@
+const dgram = require('dgram')
+const EcpClient = require('./ecp-client')
+
+const SSDP_ADDRESS = '239.255.255.250'
+const SSDP_PORT = 1900
+const SEARCH_TARGET = 'roku:ecp'
+
+// Finds Roku devices on the local network with an SSDP M-SEARCH for roku:ecp,
+// then asks each one for its /query/device-info.
+class DeviceDiscovery {
+  constructor(options = {}) {
+    this.address = options.address || SSDP_ADDRESS
+    this.port = parseInt(options.port) || SSDP_PORT
+    this.timeout = options.timeout || 3000
+    this.log = options.log || (() => {})
+  }
+
+  static searchMessage(address = SSDP_ADDRESS, port = SSDP_PORT) {
+    return [
+      'M-SEARCH * HTTP/1.1',
+      `HOST: ${address}:${port}`,
+      'MAN: "ssdp:discover"',
+      `ST: ${SEARCH_TARGET}`,
+      'MX: 2',
+      '',
+      ''
+    ].join('\r\n')
+  }
+
+  // Parse an SSDP response into { ip, ecpPort, location, usn }, or null when
+  // it is not a Roku ECP answer
+  static parseResponse(message) {
+    const headers = {}
+    String(message).split(/\r?\n/).slice(1).forEach(line => {
+      const separator = line.indexOf(':')
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim()
+      }
+    })
+
+    if (headers.st !== SEARCH_TARGET || !headers.location) {
+      return null
+    }
+
+    let location
+    try {
+      location = new URL(headers.location)
+    } catch (error) {
+      return null
+    }
+
+    return {
+      ip: location.hostname,
+      ecpPort: parseInt(location.port) || 8060,
+      location: headers.location,
+      usn: headers.usn || null
+    }
+  }
+
+  // Collect SSDP answers until the timeout expires (one entry per location)
+  search() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+      const found = new Map()
+      let closed = false
+
+      // The timeout and a socket error can both end the search; only the first one closes it
+      const finish = (error) => {
+        if (closed) {
+          return
+        }
+        closed = true
+        clearTimeout(timer)
+        socket.close()
+        if (error) {
+          reject(new Error(`SSDP discovery failed: ${error.message}`))
+        } else {
+          resolve([...found.values()])
+        }
+      }
+
+      socket.on('message', (message, remote) => {
+        const response = DeviceDiscovery.parseResponse(message)
+        if (response && !found.has(response.location)) {
+          this.log(`SSDP response from ${remote.address}: ${response.location}`)
+          found.set(response.location, response)
+        }
+      })
+
+      socket.on('error', finish)
+
+      const timer = setTimeout(() => finish(), this.timeout)
+
+      socket.bind(() => {
+        const message = Buffer.from(DeviceDiscovery.searchMessage(this.address, this.port))
+        socket.send(message, this.port, this.address, (error) => {
+          if (error) {
+            socket.emit('error', error)
+          }
+        })
+      })
+    })
+  }
+
+  // Search, then add serial number, model and friendly name for every device
+  async discover() {
+    const responses = await this.search()
+
+    return Promise.all(responses.map(async (response) => {
+      try {
+        const info = await new EcpClient(response.ip, { port: response.ecpPort }).deviceInfo()
+        return { ...info, usn: response.usn }
+      } catch (error) {
+        this.log(`device-info failed for ${response.ip}: ${error.message}`)
+        return { ip: response.ip, ecpPort: response.ecpPort, usn: response.usn, error: error.message }
+      }
+    }))
+  }
+
+  // Resolve serial numbers or friendly names (case-insensitive) to devices. A
+  // name shared by several devices is an error - the serial number picks one.
+  async find(selectors) {
+    const devices = await this.discover()
+    const describe = candidate => `${candidate.friendlyName || candidate.ip} (${candidate.serialNumber || 'unknown serial'})`
+
+    return [].concat(selectors).map(selector => {
+      const wanted = String(selector).toLowerCase()
+      const bySerial = devices.find(candidate => candidate.serialNumber && candidate.serialNumber.toLowerCase() === wanted)
+      if (bySerial) {
+        return bySerial
+      }
+
+      const byName = devices.filter(candidate => candidate.friendlyName && candidate.friendlyName.toLowerCase() === wanted)
+      if (byName.length > 1) {
+        const matches = byName.map(candidate => `${candidate.ip} (${candidate.serialNumber || 'unknown serial'})`)
+        throw new Error(`${byName.length} Roku devices are named "${selector}": ${matches.join(', ')}. Select one by serial number.`)
+      }
+      if (byName.length === 0) {
+        throw new Error(`No Roku device matching "${selector}" found. Discovered: ${devices.map(describe).join(', ') || 'none'}`)
+      }
+      return byName[0]
+    })
+  }
+}
+
+DeviceDiscovery.SSDP_ADDRESS = SSDP_ADDRESS
+DeviceDiscovery.SSDP_PORT = SSDP_PORT
+
+module.exports = DeviceDiscovery
@@ -0,0 +1,166 @@
+const axios = require('axios')
+
+// Turns <serial-number>X</serial-number> style XML into { serialNumber: 'X' }.
+// ECP query responses are flat enough that a full XML parser isn't needed.
+function parseFields(xml) {
+  const fields = {}
+  const tagPattern = /<([a-z][\w-]*)(?:\s[^>]*)?>([^<]*)<\/\1>/gi
+  let match
+
+  while ((match = tagPattern.exec(xml)) !== null) {
+    const key = match[1].replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase())
+    if (!(key in fields)) {
+      fields[key] = decodeEntities(match[2].trim())
+    }
+  }
+  return fields
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+// <app id="dev" type="appl" version="1.0.1">My Channel</app>
+function parseApps(xml) {
+  const apps = []
+  const appPattern = /<app\s([^>]*?)\/?>(?:([^<]*)<\/app>)?/g
+  let match
+
+  while ((match = appPattern.exec(xml)) !== null) {
+    const attributes = {}
+    match[1].replace(/([\w-]+)="([^"]*)"/g, (_, name, value) => {
+      attributes[name] = decodeEntities(value)
+    })
+    apps.push({
+      id: attributes.id,
+      name: decodeEntities((match[2] || '').trim()),
+      type: attributes.type || null,
+      version: attributes.version || null
+    })
+  }
+  return apps
+}
+
+// <player error="false" state="play"><position>12345 ms</position>...</player>
+function parseMediaPlayer(xml) {
+  const playerTag = xml.match(/<player\s([^>]*)>/)
+  const attributes = {}
+  if (playerTag) {
+    playerTag[1].replace(/([\w-]+)="([^"]*)"/g, (_, name, value) => {
+      attributes[name] = value
+    })
+  }
+
+  const milliseconds = (tag) => {
+    const match = xml.match(new RegExp(`<${tag}>\\s*(\\d+)\\s*ms\\s*</${tag}>`))
+    return match ? parseInt(match[1]) : null
+  }
+  const plugin = xml.match(/<plugin\s[^>]*id="([^"]*)"/)
+  const isLive = xml.match(/<is_live>\s*(true|false)\s*<\/is_live>/)
+
+  return {
+    state: attributes.state || null,
+    error: attributes.error === 'true',
+    position: milliseconds('position'),
+    duration: milliseconds('duration'),
+    isLive: isLive ? isLive[1] === 'true' : null,
+    pluginId: plugin ? plugin[1] : null
+  }
+}
+
+// <active-app><app id="dev" ...>Name</app><screensaver .../></active-app>
+// The home screen is reported as <app>Roku</app> without an id.
+function parseActiveApp(xml) {
+  const element = (tag) => {
+    const match = xml.match(new RegExp(`<${tag}(\\s[^>]*?)?(?:\\/>|>([^<]*)<\\/${tag}>)`))
+    if (!match) {
+      return null
+    }
+    const attributes = {}
+    ;(match[1] || '').replace(/([\w-]+)="([^"]*)"/g, (_, name, value) => {
+      attributes[name] = decodeEntities(value)
+    })
+    return { id: attributes.id || null, name: decodeEntities((match[2] || '').trim()), type: attributes.type || null, version: attributes.version || null }
+  }
+
+  const app = element('app') || { id: null, name: 'Roku', type: null, version: null }
+  return {
+    ...app,
+    home: !app.id,
+    screensaver: element('screensaver')
+  }
+}
+
+// Read-only ECP queries (/query/*) against a single device
+class EcpClient {
+  constructor(ip, options = {}) {
+    this.ip = ip
+    this.port = parseInt(options.port) || 8060
+    this.timeout = options.timeout || 5000
+    this.baseUrl = `http://${ip}:${this.port}`
+  }
+
+  static parseFields(xml) {
+    return parseFields(xml)
+  }
+
+  static parseApps(xml) {
+    return parseApps(xml)
+  }
+
+  static parseMediaPlayer(xml) {
+    return parseMediaPlayer(xml)
+  }
+
+  static parseActiveApp(xml) {
+    return parseActiveApp(xml)
+  }
+
+  async query(resource) {
+    const response = await axios.get(`${this.baseUrl}/query/${resource}`, {
+      timeout: this.timeout,
+      responseType: 'text',
+      transformResponse: [data => data]
+    })
+    return response.data
+  }
+
+  async deviceInfo() {
+    const fields = parseFields(await this.query('device-info'))
+
+    return {
+      ip: this.ip,
+      ecpPort: this.port,
+      serialNumber: fields.serialNumber || null,
+      modelName: fields.modelName || null,
+      modelNumber: fields.modelNumber || null,
+      // user-device-name is what the owner typed in Settings; fall back to the generated one
+      friendlyName: fields.userDeviceName || fields.friendlyDeviceName || fields.friendlyModelName || null,
+      softwareVersion: fields.softwareVersion || null,
+      developerEnabled: fields.developerEnabled === 'true',
+      fields
+    }
+  }
+
+  // Installed channels: [{ id, name, type, version }]
+  async apps() {
+    return parseApps(await this.query('apps'))
+  }
+
+  // Current player state: { state, error, position, duration, isLive, pluginId }
+  async mediaPlayer() {
+    return parseMediaPlayer(await this.query('media-player'))
+  }
+
+  // Foreground app: { id, name, type, version, home, screensaver }
+  async activeApp() {
+    return parseActiveApp(await this.query('active-app'))
+  }
+}
+
+module.exports = EcpClient
@@ -0,0 +1,339 @@
+const fs = require('fs').promises
+const path = require('path')
+const BeaconRegistry = require('./beacon-registry')
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+const formatMs = (ms) => `${ms}ms (${(ms / 1000).toFixed(1)}s)`
+
+// Everything is inlined - the report must open on air-gapped machines
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; background: #f4f5f7; color: #1d2330; }
+  header { background: #1d2330; color: #fff; padding: 24px 32px; }
+  header h1 { margin: 0 0 4px; font-size: 22px; }
+  header .meta { color: #aab2c5; font-size: 13px; }
+  main { padding: 24px 32px; max-width: 1100px; }
+  section { background: #fff; border-radius: 6px; padding: 16px 20px; margin-bottom: 16px; box-shadow: 0 1px 2px rgba(0,0,0,0.08); }
+  h2 { font-size: 16px; margin: 0 0 12px; }
+  h2.device { font-size: 18px; margin: 28px 0 12px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  td, th { padding: 4px 12px 4px 0; text-align: left; vertical-align: top; }
+  th { color: #5b6478; font-weight: 600; }
+  .badge { display: inline-block; padding: 2px 10px; border-radius: 10px; font-size: 12px; font-weight: 700; color: #fff; }
+  .pass { background: #1f9d55; }
+  .fail { background: #d64545; }
+  .flaky { background: #d69e2e; }
+  .summary { display: flex; gap: 24px; font-size: 14px; margin-top: 12px; }
+  .error { color: #d64545; font-size: 13px; margin: 8px 0; }
+  .muted { color: #5b6478; font-size: 13px; }
+  .timeline { position: relative; height: 64px; margin: 16px 8px 8px; border-top: 2px solid #c5cad6; }
+  .marker { position: absolute; top: -7px; transform: translateX(-50%); text-align: center; font-size: 11px; white-space: nowrap; }
+  .marker .dot { width: 12px; height: 12px; border-radius: 50%; background: #3867d6; margin: 0 auto 4px; }
+  .marker.ecp .dot { background: #1d2330; }
+  .limit-row { display: flex; align-items: center; gap: 12px; margin: 6px 0; font-size: 13px; }
+  .limit-row .label { width: 180px; }
+  .limit-track { position: relative; flex: 1; height: 14px; background: #eceef3; border-radius: 3px; }
+  .limit-bar { height: 100%; border-radius: 3px; }
+  .limit-line { position: absolute; top: -3px; bottom: -3px; width: 2px; background: #1d2330; }
+  .limit-row .value { width: 220px; }
+  details { margin-top: 10px; font-size: 12px; }
+  summary { cursor: pointer; color: #3867d6; }
+  .screenshots figure { display: inline-block; margin: 8px 12px 0 0; font-size: 12px; color: #5b6478; }
+  .screenshots img { display: block; max-width: 320px; border: 1px solid #c5cad6; border-radius: 4px; margin-bottom: 4px; }
+  pre { background: #1d2330; color: #d8dee9; padding: 12px; border-radius: 4px; overflow-x: auto; white-space: pre-wrap; }
+`
+
+// Self-contained HTML certification report built from formatResults()
+class HtmlReporter {
+  constructor(options = {}) {
+    this.registry = options.beaconRegistry || BeaconRegistry.defaultRegistry
+    this.title = options.title || 'Roku Deep Link Certification Report'
+    this.images = {} // Screenshot path -> data URI, filled by write()
+  }
+
+  render(results) {
+    const status = results.success ? '<span class="badge pass">PASS</span>' : '<span class="badge fail">FAIL</span>'
+    const subtitle = [results.testId, results.suite, results.timestamp].filter(Boolean).map(escapeHtml).join(' • ')
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(this.title)} ${status}</h1>
+  <div class="meta">${subtitle}</div>
+</header>
+<main>
+${this.renderSummary(results)}
+${results.devices ? results.devices.map(deviceResults => this.renderDevice(deviceResults)).join('\n') : this.renderRun(results)}
+</main>
+</body>
+</html>
+`
+  }
+
+  async write(results, filePath) {
+    this.images = await this.loadScreenshots(results)
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true })
+    await fs.writeFile(filePath, this.render(results), 'utf8')
+    return filePath
+  }
+
+  // Screenshots are embedded so the report stays a single file
+  async loadScreenshots(results) {
+    const runs = results.devices || [results]
+    const paths = new Set()
+    runs.forEach(run => {
+      (run.screenshots || []).concat(...run.tests.map(test => test.screenshots || []))
+        .filter(shot => shot.path)
+        .forEach(shot => paths.add(shot.path))
+    })
+
+    const images = {}
+    for (const shotPath of paths) {
+      try {
+        const data = await fs.readFile(shotPath)
+        const type = path.extname(shotPath) === '.png' ? 'image/png' : 'image/jpeg'
+        images[shotPath] = `data:${type};base64,${data.toString('base64')}`
+      } catch (error) {
+        // Fall back to linking the file
+      }
+    }
+    return images
+  }
+
+  renderRun(results) {
+    return [this.renderConfiguration(results), this.renderPreflight(results), this.renderOtherScreenshots(results)]
+      .concat(results.tests.map(test => this.renderTest(test)))
+      .join('\n')
+  }
+
+  // Screenshots not tied to a test, e.g. from RASP sign-in steps
+  renderOtherScreenshots(results) {
+    const inTests = new Set(results.tests.flatMap(test => (test.screenshots || []).map(shot => shot.takenAt + shot.name)))
+    const others = (results.screenshots || []).filter(shot => !inTests.has(shot.takenAt + shot.name))
+    if (others.length === 0) {
+      return ''
+    }
+
+    return `<section>
+  <h2>Screenshots</h2>
+  ${this.renderScreenshots(others)}
+</section>`
+  }
+
+  renderScreenshots(screenshots = []) {
+    if (screenshots.length === 0) {
+      return ''
+    }
+
+    const items = screenshots.map(shot => shot.path
+      ? `<figure><img src="${this.images[shot.path] || escapeHtml(shot.path)}" alt="${escapeHtml(shot.name)}">${escapeHtml(shot.name)}</figure>`
+      : `<div class="error">Screenshot "${escapeHtml(shot.name)}" failed: ${escapeHtml(shot.error)}</div>`)
+    return `<div class="screenshots">${items.join('')}</div>`
+  }
+
+  renderDevice(deviceResults) {
+    const { name, ip } = deviceResults.device
+    const status = deviceResults.success ? '<span class="badge pass">PASS</span>' : '<span class="badge fail">FAIL</span>'
+
+    return `<h2 class="device">${status} ${escapeHtml(name)} <span class="muted">${escapeHtml(ip)}</span></h2>
+${deviceResults.error ? `<div class="error">${escapeHtml(deviceResults.error)}</div>` : ''}
+${this.renderRun(deviceResults)}`
+  }
+
+  renderSummary(results) {
+    const items = [
+      `<div>Total tests: <strong>${results.totalTests}</strong></div>`,
+      `<div>Passed: <strong>${results.passedTests}</strong></div>`,
+      `<div>Failed: <strong>${results.failedTests}</strong></div>`
+    ]
+    if (results.devices) {
+      items.unshift(`<div>Devices: <strong>${results.passedDevices}/${results.totalDevices}</strong> passed</div>`)
+    }
+    if (results.flakyTests) {
+      items.push(`<div>Flaky: <strong>${results.flakyTests}</strong></div>`)
+    }
+    if (results.cases) {
+      items.push(`<div>Cases: <strong>${results.passedCases}/${results.totalCases}</strong> passed</div>`)
+    }
+    if (results.signInDuration) {
+      items.push(`<div>Sign-in: <strong>${formatMs(results.signInDuration)}</strong></div>`)
+    }
+
+    return `<section>
+  <h2>Summary</h2>
+  <div class="summary">${items.join('')}</div>
+</section>`
+  }
+
+  renderConfiguration(results) {
+    const rows = Object.entries(results.configuration || {})
+      .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => {
+        const display = typeof value === 'object' ? JSON.stringify(value) : value
+        return `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(display)}</td></tr>`
+      })
+
+    return `<section>
+  <h2>Configuration</h2>
+  <table>${rows.join('')}</table>
+</section>`
+  }
+
+  renderPreflight(results) {
+    if (!results.preflight && !results.deviceInfo && !results.sideload && !results.signIn) {
+      return ''
+    }
+
+    const rows = []
+    const sideload = results.sideload
+    if (sideload) {
+      rows.push(['Sideload', `${sideload.package}: ${sideload.passed ? `${sideload.message} (${formatMs(sideload.installTime)})` : sideload.error}`])
+    }
+    const device = results.deviceInfo
+    if (device) {
+      rows.push(['Device', `${device.friendlyName || ''} ${device.modelName} (${device.modelNumber})`.trim()])
+      rows.push(['Serial number', device.serialNumber])
+      rows.push(['OS version', device.softwareVersion])
+      rows.push(['Developer mode', device.developerEnabled ? 'enabled' : 'disabled'])
+    }
+    const apps = results.apps || (results.appInfo ? [results.appInfo] : [])
+    apps.filter(app => app.installed).forEach(app => {
+      rows.push([`App ${app.id}`, `${app.name || app.id}${app.version ? ` v${app.version}` : ''}`])
+    })
+    const signIn = results.signIn
+    if (signIn) {
+      rows.push(['Sign-in', `${signIn.script}: ${signIn.passed ? `completed in ${formatMs(signIn.duration)}` : signIn.error}`])
+      signIn.failures.filter(failure => failure.action !== 'abort').forEach(failure => {
+        rows.push([`Sign-in ${failure.location}`, `${failure.error} (on_failure: ${failure.action})`])
+      })
+    }
+
+    const checks = results.preflight
+      ? results.preflight.checks.map(check => `<tr><th>${check.passed ? '✔' : '✘'} ${escapeHtml(check.name)}</th><td${check.passed ? '' : ' class="error"'}>${escapeHtml(check.message)}</td></tr>`)
+      : []
+
+    return `<section>
+  <h2>Device &amp; Pre-flight</h2>
+  <table>${rows.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}${checks.join('')}</table>
+</section>`
+  }
+
+  renderTest(test) {
+    const badge = test.passed
+      ? (test.flaky ? '<span class="badge flaky">FLAKY</span>' : '<span class="badge pass">PASS</span>')
+      : '<span class="badge fail">FAIL</span>'
+    const name = (test.caseName ? `${test.caseName} - ${test.testName}` : test.testName) + (test.iteration ? ` (run ${test.iteration})` : '')
+    const details = [
+      test.command ? `Command: ${escapeHtml(test.command)}` : null,
+      test.duration ? `Duration: ${formatMs(test.duration)}` : null,
+      test.detectedContentType ? `Content type: ${escapeHtml(test.detectedContentType)}` : null,
+      test.attempts ? `Attempts: ${test.attempts.length}` : null
+    ].filter(Boolean)
+
+    const beacons = test.beaconsReceived && test.beaconsReceived.length > 0
+      ? `<div class="muted">Beacons: ${test.beaconsReceived.map(escapeHtml).join(', ')}</div>`
+      : ''
+    const player = test.playback && test.playback.player
+      ? `<div class="muted">Media player (${escapeHtml(test.playback.mode)} mode): ${test.playback.player.passed
+        ? `playing after ${test.playback.player.timeToPlay}ms, position advanced ${(test.playback.player.advancedMs / 1000).toFixed(1)}s`
+        : escapeHtml(test.playback.player.error)}</div>`
+      : ''
+
+    return `<section>
+  <h2>${badge} ${escapeHtml(name)}</h2>
+  <div class="muted">${details.join(' • ')}</div>
+  ${test.error ? `<div class="error">${escapeHtml(test.error)}</div>` : ''}
+  ${beacons}
+  ${player}
+  ${this.renderScreenshots(test.screenshots)}
+  ${this.renderTimeline(test)}
+  ${this.renderLimits(test)}
+  ${this.renderLogs(test)}
+</section>`
+  }
+
+  // ECP send -> AppLaunchComplete -> VODStartInitiate -> VODStartComplete, by arrival time
+  renderTimeline(test) {
+    const offsets = test.beaconOffsets || {}
+    const points = this.registry.list()
+      .filter(definition => offsets[definition.name] !== undefined)
+      .map(definition => ({ label: definition.name, offset: offsets[definition.name] }))
+
+    if (points.length === 0) {
+      return ''
+    }
+
+    const span = Math.max(...points.map(point => point.offset), 1)
+    const markers = [{ label: 'ECP send', offset: 0, className: 'ecp' }].concat(points).map(point => {
+      // Keep markers inside the track so labels are not clipped
+      const left = 4 + (point.offset / span) * 88
+      return `<div class="marker ${point.className || ''}" style="left: ${left.toFixed(2)}%"><div class="dot"></div>${escapeHtml(point.label)}<br>+${(point.offset / 1000).toFixed(1)}s</div>`
+    })
+
+    return `<div class="timeline">${markers.join('')}</div>`
+  }
+
+  // Beacon timings against their certification limits (15s launch, 8s video start)
+  // and any internal budgets; results saved before timing checks only have the registry limits
+  renderLimits(test) {
+    const timings = test.beaconTimings || {}
+    const checks = test.checks || this.registry.list()
+      .filter(definition => definition.limit && timings[definition.name] !== undefined && timings[definition.name] !== null)
+      .map(definition => ({
+        id: definition.requirement,
+        name: definition.label,
+        kind: 'certification',
+        limit: definition.limit,
+        actual: timings[definition.name],
+        passed: timings[definition.name] <= definition.limit
+      }))
+
+    const rows = checks.map(check => {
+      const scale = Math.max(check.limit, check.actual) * 1.1
+      const color = check.passed ? '#1f9d55' : '#d64545'
+      const requirement = check.kind === 'certification' && check.id ? ` (Req ${escapeHtml(check.id)})` : ''
+      const kind = check.kind === 'budget' ? 'budget' : 'limit'
+
+      return `<div class="limit-row">
+    <div class="label">${escapeHtml(check.name)}${requirement}</div>
+    <div class="limit-track">
+      <div class="limit-bar" style="width: ${((check.actual / scale) * 100).toFixed(2)}%; background: ${color}"></div>
+      <div class="limit-line" style="left: ${((check.limit / scale) * 100).toFixed(2)}%" title="${check.limit / 1000}s ${kind}"></div>
+    </div>
+    <div class="value">${formatMs(check.actual)} / ${check.limit / 1000}s ${kind}</div>
+  </div>`
+    })
+
+    return rows.join('\n')
+  }
+
+  renderLogs(test) {
+    const logs = test.recentTelnetLogs || test.telnetLogs
+    if (!logs || logs.length === 0) {
+      return ''
+    }
+
+    return `<details>
+    <summary>Telnet log excerpt (${logs.length} lines)</summary>
+    <pre>${logs.map(escapeHtml).join('\n')}</pre>
+  </details>`
+  }
+}
+
+HtmlReporter.escapeHtml = escapeHtml
+
+module.exports = HtmlReporter
@@ -0,0 +1,194 @@
+const fs = require('fs').promises
+const path = require('path')
+
+// Characters that are not allowed in XML 1.0 documents (telnet output can contain them)
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g
+const ANSI_ESCAPES = /\u001b\[[0-9;]*m/g
+
+function escapeXml(value) {
+  return String(value)
+    .replace(ANSI_ESCAPES, '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3)
+
+// Turns the formatResults() structure into JUnit XML for CI dashboards
+class JUnitReporter {
+  constructor(options = {}) {
+    this.defaultSuiteName = options.suiteName || 'roku-deep-link'
+  }
+
+  render(results) {
+    // Multi-device runs get one testsuite per device
+    const suites = results.devices
+      ? results.devices.map(deviceResults => this.renderSuite(deviceResults, `${this.suiteName(results)}.${deviceResults.device.name}`))
+      : [this.renderSuite(results)]
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeXml(this.suiteName(results))}" tests="${results.totalTests}" failures="${results.failedTests}" time="${seconds(this.totalTime(results.tests))}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n')
+  }
+
+  async write(results, filePath) {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true })
+    await fs.writeFile(filePath, this.render(results), 'utf8')
+    return filePath
+  }
+
+  suiteName(results) {
+    return results.testId || results.suite || this.defaultSuiteName
+  }
+
+  totalTime(tests) {
+    return tests.reduce((total, test) => total + (test.duration || 0), 0)
+  }
+
+  renderSuite(results, name = this.suiteName(results)) {
+    const configuration = results.configuration || {}
+    const properties = Object.entries(configuration)
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'object')
+      .map(([name, value]) => ({ name: `config.${name}`, value }))
+      .concat(this.deviceProperties(results))
+
+    const lines = [
+      `  <testsuite name="${escapeXml(name)}" tests="${results.totalTests}" failures="${results.failedTests}" errors="0" skipped="0" time="${seconds(this.totalTime(results.tests))}" timestamp="${escapeXml(results.timestamp || '')}" hostname="${escapeXml(configuration.ip || '')}">`
+    ]
+
+    if (properties.length > 0) {
+      lines.push(this.renderProperties(properties, '    '))
+    }
+
+    results.tests.forEach(test => lines.push(this.renderTestCase(test, configuration)))
+    lines.push('  </testsuite>')
+    return lines.join('\n')
+  }
+
+  renderTestCase(test, configuration) {
+    const name = (test.caseName ? `${test.caseName} - ${test.testName}` : test.testName) + (test.iteration ? ` (run ${test.iteration})` : '')
+    const classname = ['roku-deep-link']
+      .concat(test.caseName ? [test.caseName] : [configuration.app, configuration.contentId])
+      .filter(Boolean)
+      .join('.')
+
+    const lines = [
+      `    <testcase name="${escapeXml(name)}" classname="${escapeXml(classname)}" time="${seconds(test.duration)}">`
+    ]
+
+    const properties = this.testProperties(test)
+    if (properties.length > 0) {
+      lines.push(this.renderProperties(properties, '      '))
+    }
+
+    if (!test.passed) {
+      const message = test.error || 'Test failed'
+      const details = [message]
+      if (test.expectedBeacons) {
+        details.push(`Expected beacons: ${test.expectedBeacons.join(', ')}`)
+      }
+      if (test.beaconsReceived) {
+        details.push(`Received beacons: ${test.beaconsReceived.join(', ') || 'none'}`)
+      }
+      lines.push(`      <failure message="${escapeXml(message)}" type="DeepLinkFailure">${escapeXml(details.join('\n'))}</failure>`)
+    }
+
+    // [[ATTACHMENT|path]] lines are picked up by the Jenkins JUnit attachments plugin
+    const output = (test.recentTelnetLogs || [])
+      .concat((test.screenshots || []).filter(shot => shot.path).map(shot => `[[ATTACHMENT|${path.resolve(shot.path)}]]`))
+    if (output.length > 0) {
+      lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`)
+    }
+
+    lines.push('    </testcase>')
+    return lines.join('\n')
+  }
+
+  // Beacon timings become properties so CI can chart them over time
+  testProperties(test) {
+    const properties = []
+
+    Object.entries(test.beaconTimings || {}).forEach(([beacon, ms]) => {
+      if (ms !== null && ms !== undefined) {
+        properties.push({ name: `beacon.${beacon}.ms`, value: ms })
+      }
+    })
+
+    ;(test.checks || []).forEach(check => {
+      properties.push({ name: `check.${check.id}`, value: check.passed ? 'passed' : 'failed' })
+      properties.push({ name: `check.${check.id}.limit.ms`, value: check.limit })
+    })
+
+    if (test.command) {
+      properties.push({ name: 'command', value: test.command })
+    }
+    if (test.detectedContentType) {
+      properties.push({ name: 'contentType', value: test.detectedContentType })
+    }
+    if (test.playback && test.playback.player) {
+      properties.push({ name: 'playback.mode', value: test.playback.mode })
+      properties.push({ name: 'playback.beacons', value: test.playback.beacons })
+      properties.push({ name: 'playback.player', value: test.playback.player.passed })
+      if (test.playback.player.timeToPlay !== null) {
+        properties.push({ name: 'player.timeToPlay.ms', value: test.playback.player.timeToPlay })
+      }
+    }
+    if (test.attempts) {
+      properties.push({ name: 'attempts', value: test.attempts.length })
+      properties.push({ name: 'flaky', value: Boolean(test.flaky) })
+    }
+
+    return properties
+  }
+
+  // Record exactly which device, OS and app build were tested
+  deviceProperties(results) {
+    const properties = []
+    const device = results.deviceInfo
+    if (device) {
+      ['modelName', 'modelNumber', 'serialNumber', 'softwareVersion', 'developerEnabled'].forEach(field => {
+        if (device[field] !== null && device[field] !== undefined) {
+          properties.push({ name: `device.${field}`, value: device[field] })
+        }
+      })
+    }
+
+    const apps = results.apps || (results.appInfo ? [results.appInfo] : [])
+    apps.filter(app => app.version).forEach(app => {
+      properties.push({ name: `app.${app.id}.version`, value: app.version })
+    })
+
+    if (results.sideload) {
+      properties.push({ name: 'sideload.package', value: results.sideload.package })
+      properties.push({ name: 'sideload.result', value: results.sideload.passed ? results.sideload.message : results.sideload.error })
+    }
+
+    if (results.signIn) {
+      properties.push({ name: 'signin.script', value: results.signIn.script })
+      properties.push({ name: 'signin.result', value: results.signIn.passed ? `passed in ${results.signIn.duration}ms` : results.signIn.error })
+    }
+
+    return properties
+  }
+
+  renderProperties(properties, indent) {
+    const lines = [`${indent}<properties>`]
+    properties.forEach(({ name, value }) => {
+      lines.push(`${indent}  <property name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+    })
+    lines.push(`${indent}</properties>`)
+    return lines.join('\n')
+  }
+}
+
+JUnitReporter.escapeXml = escapeXml
+
+module.exports = JUnitReporter
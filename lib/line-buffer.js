@@ -0,0 +1,40 @@
+const { StringDecoder } = require('string_decoder')
+
+// Reassembles a chunked TCP stream into complete lines. Roku's debug console
+// splits and merges lines arbitrarily across `data` events.
+class LineBuffer {
+  constructor() {
+    this.pending = ''
+    // Keeps a UTF-8 character split across two chunks intact
+    this.decoder = new StringDecoder('utf8')
+  }
+
+  // Add a chunk and return every line it completed
+  push(chunk) {
+    let text = this.pending + (typeof chunk === 'string' ? chunk : this.decoder.write(chunk))
+
+    // Hold back a trailing \r - it may be the first half of a \r\n split across chunks
+    let carry = ''
+    if (text.endsWith('\r')) {
+      text = text.slice(0, -1)
+      carry = '\r'
+    }
+
+    const lines = text.split(/\r\n|\n|\r/)
+    this.pending = lines.pop() + carry
+    return lines
+  }
+
+  // Return whatever is left over (e.g. a prompt with no newline)
+  flush() {
+    const rest = (this.pending + this.decoder.end()).replace(/\r$/, '')
+    this.pending = ''
+    return rest ? [rest] : []
+  }
+
+  get hasPending() {
+    return this.pending.length > 0
+  }
+}
+
+module.exports = LineBuffer
@@ -0,0 +1,139 @@
+const fs = require('fs').promises
+const YAML = require('yaml')
+
+// What a deep link of each Roku mediaType should lead to:
+//   playback: true         - any playback group's beacons (VOD or Live)
+//   playback: live         - that playback group's beacons only
+//   playback: false        - no playback; the app lands on a details screen
+//   landing: /regex/       - a debug console line that must appear (optional)
+const DEFAULT_PROFILES = {
+  movie: { playback: true },
+  episode: { playback: true },
+  shortFormVideo: { playback: true },
+  tvSpecial: { playback: true },
+  special: { playback: true },
+  live: { playback: 'live' },
+  series: { playback: false },
+  season: { playback: false }
+}
+
+// A landing pattern is tested against line after line, so the stateful g and y
+// flags (which carry lastIndex between tests) are dropped
+function parsePattern(value) {
+  const match = String(value).match(/^\/(.+)\/([a-z]*)$/)
+  return match ? new RegExp(match[1], match[2].replace(/[gy]/g, '')) : new RegExp(value)
+}
+
+// Edit distance, for "did you mean" suggestions on typos such as "movei"
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0]
+    row[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+      previous = current
+    }
+  }
+  return row[b.length]
+}
+
+// The media type profile table. Overrides (from --media-types, a suite's
+// mediaTypes section or the mediaTypes option) add profiles or change
+// existing ones; keys an override leaves out keep their current value.
+class MediaTypes {
+  constructor(overrides = {}, base = DEFAULT_PROFILES) {
+    this.definitions = { ...base }
+    Object.entries(overrides || {}).forEach(([name, profile]) => {
+      const isObject = profile && typeof profile === 'object' && !Array.isArray(profile)
+      this.definitions[name] = isObject ? { ...base[name], ...profile } : profile
+    })
+
+    this.profiles = {}
+    Object.entries(this.definitions).forEach(([name, profile]) => {
+      this.profiles[name] = MediaTypes.normalize(name, profile)
+    })
+  }
+
+  // A mediaTypes file holds the profiles, at the top level or under "mediaTypes"
+  static async load(filePath) {
+    let data
+    try {
+      data = YAML.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Media types file not found: ${filePath}`)
+      }
+      throw new Error(`Failed to parse media types file: ${error.message}`)
+    }
+    const overrides = data && data.mediaTypes ? data.mediaTypes : data
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Media types file must map media type names to profiles')
+    }
+    return new MediaTypes(overrides)
+  }
+
+  static normalize(name, profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`Media type "${name}": profile must be an object`)
+    }
+    const unknown = Object.keys(profile).filter(key => !['playback', 'landing'].includes(key))
+    if (unknown.length > 0) {
+      throw new Error(`Media type "${name}": unknown profile key "${unknown[0]}" (use playback and landing)`)
+    }
+
+    const playback = profile.playback === undefined ? false : profile.playback
+    if (typeof playback !== 'boolean' && (typeof playback !== 'string' || playback === '')) {
+      throw new Error(`Media type "${name}": playback must be true, false or a playback group name`)
+    }
+
+    let landing = null
+    if (profile.landing !== undefined && profile.landing !== null) {
+      try {
+        landing = parsePattern(profile.landing)
+      } catch (error) {
+        throw new Error(`Media type "${name}": invalid landing pattern: ${error.message}`)
+      }
+    }
+
+    return { name, playback, landing }
+  }
+
+  names() {
+    return Object.keys(this.profiles)
+  }
+
+  // Profile for a --type value; unknown types are rejected with the valid list
+  get(name) {
+    const profile = this.profiles[name]
+    if (profile) {
+      return profile
+    }
+
+    const names = this.names()
+    const close = names
+      .map(candidate => ({ candidate, score: distance(String(name).toLowerCase(), candidate.toLowerCase()) }))
+      .filter(entry => entry.score <= 2)
+      .sort((a, b) => a.score - b.score)[0]
+    const suggestion = close ? ` Did you mean "${close.candidate}"?` : ''
+    throw new Error(`Unknown media type "${name}".${suggestion} Use one of: ${names.join(', ')}`)
+  }
+
+  // A copy with more overrides on top (a suite's mediaTypes section)
+  extend(overrides) {
+    return new MediaTypes(overrides, this.definitions)
+  }
+
+  // For results: { movie: { playback: true, landing: null }, series: { playback: false, landing: '/Details/' } }
+  toJSON() {
+    return Object.fromEntries(Object.entries(this.profiles).map(([name, profile]) => [name, {
+      playback: profile.playback,
+      landing: profile.landing ? String(profile.landing) : null
+    }]))
+  }
+}
+
+MediaTypes.DEFAULT_PROFILES = DEFAULT_PROFILES
+
+module.exports = MediaTypes
@@ -0,0 +1,608 @@
+const http = require('http')
+const net = require('net')
+const dgram = require('dgram')
+const crypto = require('crypto')
+
+// Debug console lines in the format the Roku firmware prints beacons
+const beaconLine = (name, timing) => `[beacon.signal] |${name} ---------> ${timing}`
+
+// Built-in scenarios. Each event list is emitted on the debug console after the
+// matching ECP request: "launch" after any /launch, "deepLink" after a /launch
+// or /input that carries a contentId, "keypress" after /keypress/<Key>.
+// "player" drives /query/media-player after a deep link: playback starts after
+// startDelay ms, and optionally stalls (stallAfter ms of playback) or errors.
+// "invalidDeepLink" is emitted instead of "deepLink" for an unknown contentId
+// (see the contentIds option) or a mediaType Roku doesn't define, and
+// "exitAfterInvalidDeepLink" sends the app back to Home after such a link.
+// "install" shapes the developer installer: { error, restartDelay } where
+// error is an "Install Failure" reason and restartDelay is how long the debug
+// console is down while the new channel starts.
+const SCENARIOS = {
+  vod: {
+    launch: [{ delay: 300, line: beaconLine('AppLaunchComplete', 'Duration(1850 ms)') }],
+    deepLink: [
+      { delay: 500, line: beaconLine('VODStartInitiate', 'TimeBase(2100 ms)') },
+      { delay: 800, line: beaconLine('VODStartComplete', 'Duration(3200 ms)') }
+    ],
+    player: { startDelay: 800 }
+  },
+  live: {
+    launch: [{ delay: 300, line: beaconLine('AppLaunchComplete', 'Duration(1850 ms)') }],
+    deepLink: [
+      { delay: 500, line: beaconLine('LiveStartInitiate', 'TimeBase(2400 ms)') },
+      { delay: 800, line: beaconLine('LiveStartComplete', 'Duration(4100 ms)') }
+    ],
+    player: { startDelay: 800, live: true }
+  },
+  slow: {
+    launch: [{ delay: 20000, line: beaconLine('AppLaunchComplete', 'Duration(19800 ms)') }],
+    deepLink: [
+      { delay: 25000, line: beaconLine('VODStartInitiate', 'TimeBase(21000 ms)') },
+      { delay: 30000, line: beaconLine('VODStartComplete', 'Duration(9500 ms)') }
+    ],
+    player: { startDelay: 30000 }
+  },
+  // An invalid deep link: the app launches, then drops back to the home screen
+  'exit-to-home': {
+    extends: 'vod',
+    deepLink: [],
+    player: null,
+    exitAfterDeepLink: 1000
+  },
+  // Beacons fire but the player errors or freezes afterwards
+  'player-error': {
+    extends: 'vod',
+    player: { startDelay: 800, error: true }
+  },
+  stall: {
+    extends: 'vod',
+    player: { startDelay: 800, stallAfter: 1000 }
+  },
+  'launch-only': {
+    launch: [{ delay: 300, line: beaconLine('AppLaunchComplete', 'Duration(1850 ms)') }],
+    deepLink: []
+  },
+  'missing-beacons': {
+    launch: [],
+    deepLink: []
+  },
+  refuse: {
+    refuseConnections: true
+  },
+  'install-failure': {
+    extends: 'vod',
+    install: { error: 'Compilation Failed.' }
+  },
+  // Drops into the BrightScript debugger on a deep link it can't resolve
+  'crash-on-invalid': {
+    extends: 'vod',
+    invalidDeepLink: [
+      { delay: 300, line: 'BrightScript Micro Debugger.' },
+      { delay: 310, line: 'Invalid value for left-side of expression. (runtime error &he4) in pkg:/source/DeepLink.brs(42)' }
+    ],
+    exitAfterInvalidDeepLink: 500
+  }
+}
+
+// mediaType values defined by the Roku deep linking spec
+const MEDIA_TYPES = ['movie', 'episode', 'season', 'series', 'shortFormVideo', 'special', 'live', 'tvSpecial']
+
+const DEFAULT_DEVICE_INFO = {
+  serialNumber: 'MOCK00000001',
+  modelName: 'Roku Ultra',
+  modelNumber: '4850X',
+  friendlyName: 'Mock Roku',
+  softwareVersion: '13.0.0',
+  developerEnabled: true
+}
+
+const DEFAULT_APPS = [
+  { id: 'dev', name: 'Mock Dev Channel', type: 'appl', version: '1.0.0' }
+]
+
+// 1x1 PNG served as the dev channel screenshot
+const SCREENSHOT_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGNIM54JAAI1ATNZtdtqAAAAAElFTkSuQmCC', 'base64')
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex')
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+class MockRokuDevice {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1'
+    this.ecpPort = options.ecpPort || 0
+    this.telnetPort = options.telnetPort || 0
+    this.log = options.log || (() => {})
+    this.deviceInfo = { ...DEFAULT_DEVICE_INFO, ...options.deviceInfo }
+    this.apps = options.apps || DEFAULT_APPS
+    // Content IDs the mock catalog knows; null accepts any ID
+    this.contentIds = options.contentIds ? options.contentIds.map(String) : null
+    // SSDP responder port; undefined disables it, 0 picks a random port
+    this.ssdpPort = options.ssdpPort
+    // Development Application Installer port; undefined disables it, 0 picks a random port
+    this.installerPort = options.installerPort
+    this.devPassword = options.devPassword || 'rokudev'
+    this.nonce = crypto.randomBytes(16).toString('hex')
+    this.setScenario(options.scenario || 'vod')
+
+    this.requests = []
+    this.clients = new Set()
+    this.timers = new Set()
+    this.ecpServer = null
+    this.telnetServer = null
+    this.ssdpSocket = null
+    this.installerServer = null
+    this.installs = [] // { fileName, bytes, success, message } per upload
+    this.screenshots = 0 // Screenshots served from /pkgs/dev.png
+    this.playbackStartedAt = null
+    this.activeAppId = null // null = home screen
+    this.screensaver = false // Set to true to report a screensaver over the active app
+  }
+
+  static beaconLine(name, timing) {
+    return beaconLine(name, timing)
+  }
+
+  // Accepts a built-in scenario name or a scenario object (optionally
+  // extending a built-in one via `extends: 'vod'`)
+  setScenario(scenario) {
+    if (typeof scenario === 'string') {
+      if (!SCENARIOS[scenario]) {
+        throw new Error(`Unknown mock scenario "${scenario}". Available: ${Object.keys(SCENARIOS).join(', ')}`)
+      }
+      scenario = SCENARIOS[scenario]
+    }
+    if (scenario.extends) {
+      const base = SCENARIOS[scenario.extends]
+      if (!base) {
+        throw new Error(`Unknown mock scenario "${scenario.extends}"`)
+      }
+      scenario = { ...base, ...scenario }
+    }
+
+    this.scenario = {
+      launch: [],
+      deepLink: [],
+      invalidDeepLink: [],
+      keypress: {},
+      onConnect: [],
+      ecpStatus: {},
+      refuseConnections: false,
+      chunkSize: 0,
+      player: null,
+      install: {},
+      ...scenario
+    }
+    return this
+  }
+
+  async start() {
+    this.ecpServer = http.createServer((req, res) => this.handleEcpRequest(req, res))
+    this.ecpPort = await this.listen(this.ecpServer, this.ecpPort)
+
+    this.telnetServer = net.createServer(socket => this.handleTelnetConnection(socket))
+    this.telnetPort = await this.listen(this.telnetServer, this.telnetPort)
+
+    // Reserve the port number, then close it so connections are refused
+    if (this.scenario.refuseConnections) {
+      await this.closeServer(this.telnetServer)
+      this.telnetServer = null
+    }
+
+    if (this.ssdpPort !== undefined && this.ssdpPort !== null) {
+      await this.startSsdp()
+    }
+
+    if (this.installerPort !== undefined && this.installerPort !== null) {
+      this.installerServer = http.createServer((req, res) => this.handleInstallerRequest(req, res))
+      this.installerPort = await this.listen(this.installerServer, this.installerPort)
+      this.log(`Mock developer installer listening on ${this.host}:${this.installerPort}`)
+    }
+
+    this.log(`Mock Roku listening - ECP ${this.host}:${this.ecpPort}, debug console ${this.host}:${this.telnetPort}`)
+    return this
+  }
+
+  // Answer "ST: roku:ecp" M-SEARCH requests like a real device
+  startSsdp() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true })
+
+      socket.on('message', (message, remote) => {
+        const text = message.toString()
+        if (!text.startsWith('M-SEARCH') || !/^ST:\s*(roku:ecp|ssdp:all)\s*$/im.test(text)) {
+          return
+        }
+
+        this.log(`SSDP M-SEARCH from ${remote.address}:${remote.port}`)
+        const response = [
+          'HTTP/1.1 200 OK',
+          'Cache-Control: max-age=3600',
+          'ST: roku:ecp',
+          `USN: uuid:roku:ecp:${this.deviceInfo.serialNumber}`,
+          'Ext: ',
+          'Server: Roku/13.0.0 UPnP/1.0 Roku/13.0.0',
+          `LOCATION: http://${this.host}:${this.ecpPort}/`,
+          '',
+          ''
+        ].join('\r\n')
+        socket.send(response, remote.port, remote.address)
+      })
+
+      socket.once('error', reject)
+      socket.bind(this.ssdpPort, () => {
+        socket.removeListener('error', reject)
+        socket.on('error', (error) => this.log(`SSDP error: ${error.message}`))
+        // Join the multicast group so M-SEARCH broadcasts on port 1900 reach the mock
+        try {
+          socket.addMembership('239.255.255.250')
+        } catch (error) {
+          this.log(`SSDP multicast unavailable: ${error.message}`)
+        }
+        this.ssdpPort = socket.address().port
+        this.ssdpSocket = socket
+        resolve()
+      })
+    })
+  }
+
+  async stop() {
+    this.timers.forEach(timer => clearTimeout(timer))
+    this.timers.clear()
+    this.clients.forEach(socket => socket.destroy())
+    this.clients.clear()
+
+    if (this.ssdpSocket) {
+      this.ssdpSocket.close()
+      this.ssdpSocket = null
+    }
+
+    await Promise.all([this.ecpServer, this.telnetServer, this.installerServer].filter(Boolean).map(server => this.closeServer(server)))
+    this.ecpServer = null
+    this.telnetServer = null
+    this.installerServer = null
+  }
+
+  listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject)
+      server.listen(port, this.host, () => {
+        server.removeListener('error', reject)
+        resolve(server.address().port)
+      })
+    })
+  }
+
+  closeServer(server) {
+    return new Promise(resolve => server.close(() => resolve()))
+  }
+
+  handleTelnetConnection(socket) {
+    this.clients.add(socket)
+    socket.on('end', () => socket.end())
+    socket.on('close', () => this.clients.delete(socket))
+    socket.on('error', () => this.clients.delete(socket))
+    this.schedule(this.scenario.onConnect)
+  }
+
+  handleEcpRequest(req, res) {
+    const url = new URL(req.url, `http://${this.host}`)
+    const [command, target] = url.pathname.split('/').filter(Boolean)
+    const params = Object.fromEntries(url.searchParams)
+
+    this.requests.push({ method: req.method, path: url.pathname, command, target, params })
+    this.log(`ECP ${req.method} ${req.url}`)
+
+    // Drain the body so keep-alive connections are reusable
+    req.resume()
+
+    const status = this.scenario.ecpStatus[command]
+    if (status) {
+      res.writeHead(status)
+      res.end()
+      return
+    }
+
+    const queries = {
+      'device-info': () => this.deviceInfoXml(),
+      apps: () => this.appsXml(),
+      'media-player': () => this.mediaPlayerXml(),
+      'active-app': () => this.activeAppXml()
+    }
+    if (req.method === 'GET' && command === 'query' && queries[target]) {
+      res.writeHead(200, { 'Content-Type': 'text/xml' })
+      res.end(queries[target]())
+      return
+    }
+
+    if (req.method !== 'POST' || !['launch', 'input', 'keypress'].includes(command)) {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+
+    res.writeHead(200)
+    res.end()
+
+    if (command === 'launch') {
+      this.playbackStartedAt = null
+      this.activeAppId = target
+      this.screensaver = false
+      this.schedule(this.scenario.launch)
+    }
+    if ((command === 'launch' || command === 'input') && params.contentId && !this.isValidDeepLink(params)) {
+      this.schedule(this.scenario.invalidDeepLink)
+      if (this.scenario.exitAfterInvalidDeepLink !== undefined) {
+        this.after(this.scenario.exitAfterInvalidDeepLink, () => this.goHome())
+      }
+    } else if ((command === 'launch' || command === 'input') && params.contentId) {
+      this.playbackStartedAt = Date.now()
+      this.schedule(this.scenario.deepLink)
+      if (this.scenario.exitAfterDeepLink !== undefined) {
+        this.after(this.scenario.exitAfterDeepLink, () => this.goHome())
+      }
+    }
+    if (command === 'keypress') {
+      if (target === 'Home') {
+        this.goHome()
+      }
+      this.schedule(this.scenario.keypress[target] || [])
+    }
+  }
+
+  isValidDeepLink(params) {
+    const knownContent = !this.contentIds || this.contentIds.includes(params.contentId)
+    return knownContent && (!params.mediaType || MEDIA_TYPES.includes(params.mediaType))
+  }
+
+  // POST /plugin_install, POST /plugin_inspect (screenshots) and the captured
+  // image, all behind digest auth like the installer on port 80
+  handleInstallerRequest(req, res) {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      this.log(`Installer ${req.method} ${req.url}`)
+      const route = `${req.method} ${req.url.split('?')[0]}`
+
+      if (!['POST /plugin_install', 'POST /plugin_inspect', 'GET /pkgs/dev.png'].includes(route)) {
+        res.writeHead(404)
+        res.end()
+        return
+      }
+      if (!this.checkDigest(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': `Digest qop="auth", realm="rokudev", nonce="${this.nonce}"` })
+        res.end()
+        return
+      }
+
+      if (route === 'GET /pkgs/dev.png') {
+        this.screenshots++
+        res.writeHead(200, { 'Content-Type': 'image/png' })
+        res.end(SCREENSHOT_PNG)
+        return
+      }
+
+      const result = route === 'POST /plugin_install'
+        ? this.install(Buffer.concat(chunks), req.headers['content-type'] || '')
+        : this.inspect()
+      res.writeHead(200, { 'Content-Type': 'text/html' })
+      res.end(this.installerHtml(result))
+    })
+  }
+
+  // Screenshots only work while the dev channel is in the foreground
+  inspect() {
+    if (this.activeAppId !== 'dev') {
+      return { success: false, message: 'Screenshot failed: the dev channel is not running.' }
+    }
+    return { success: true, message: 'Screenshot ok', image: `pkgs/dev.png?time=${Date.now()}` }
+  }
+
+  checkDigest(req) {
+    const header = req.headers.authorization || ''
+    if (!/^Digest\s/i.test(header)) {
+      return false
+    }
+
+    const fields = {}
+    header.replace(/([\w-]+)=(?:"([^"]*)"|([^\s,]*))/g, (_, name, quoted, plain) => {
+      fields[name] = quoted !== undefined ? quoted : plain
+    })
+    const ha1 = md5(`${fields.username}:rokudev:${this.devPassword}`)
+    const ha2 = md5(`${req.method}:${fields.uri}`)
+    const expected = md5(`${ha1}:${this.nonce}:${fields.nc}:${fields.cnonce}:${fields.qop}:${ha2}`)
+    return fields.username === 'rokudev' && fields.nonce === this.nonce && fields.response === expected
+  }
+
+  install(body, contentType) {
+    const boundary = (contentType.match(/boundary=(\S+)/) || [])[1]
+    const part = boundary ? body.indexOf('name="archive"') : -1
+    const dataStart = part >= 0 ? body.indexOf('\r\n\r\n', part) + 4 : -1
+    const dataEnd = dataStart >= 4 ? body.indexOf(`\r\n--${boundary}`, dataStart) : -1
+    const archive = dataEnd >= 0 ? body.slice(dataStart, dataEnd) : Buffer.alloc(0)
+    const fileName = part >= 0 ? (body.slice(part, dataStart).toString().match(/filename="([^"]*)"/) || [])[1] : null
+    const config = this.scenario.install || {}
+
+    let result
+    if (archive.length === 0) {
+      result = { success: false, message: 'Install Failure: No archive in the upload.' }
+    } else if (archive.slice(0, 2).toString() !== 'PK') {
+      result = { success: false, message: 'Install Failure: Zip file does not appear to be valid.' }
+    } else if (config.error) {
+      result = { success: false, message: `Install Failure: ${config.error}` }
+    } else {
+      result = { success: true, message: 'Install Success.' }
+    }
+    this.installs.push({ fileName, bytes: archive.length, ...result })
+    this.log(`Installer: ${result.message}`)
+
+    if (result.success) {
+      if (!this.apps.some(app => app.id === 'dev')) {
+        this.apps = this.apps.concat({ id: 'dev', name: 'Mock Dev Channel', type: 'appl', version: '1.0.0' })
+      }
+      // The new channel launches and the debug console restarts with it
+      this.activeAppId = 'dev'
+      this.playbackStartedAt = null
+      this.restartDebugConsole(config.restartDelay !== undefined ? config.restartDelay : 1000)
+    }
+    return result
+  }
+
+  async restartDebugConsole(delay) {
+    if (!this.telnetServer) {
+      return
+    }
+
+    const server = this.telnetServer
+    this.telnetServer = null
+    this.clients.forEach(socket => socket.destroy())
+    this.clients.clear()
+    await this.closeServer(server)
+
+    this.after(delay, () => {
+      // stop() may have run while the console was down
+      if (!this.ecpServer) {
+        return
+      }
+      this.telnetServer = net.createServer(socket => this.handleTelnetConnection(socket))
+      this.listen(this.telnetServer, this.telnetPort)
+        .then(() => this.log('Debug console restarted'))
+        .catch(error => this.log(`Debug console restart failed: ${error.message}`))
+    })
+  }
+
+  installerHtml(result) {
+    const type = result.success ? 'success' : 'error'
+    return [
+      '<html><head><title>Roku Development Application Installer</title></head><body>',
+      '<script type="text/javascript">',
+      `  Shell.create('Roku.Message').trigger('Set message type', '${type}').trigger('Set message content', '${result.message}').trigger('Render', node);`,
+      result.image ? `  Shell.create('Roku.Image').trigger('Set image type', 'screenshot').trigger('Set image content', '${result.image}').trigger('Render', node);` : null,
+      '</script>',
+      '</body></html>',
+      ''
+    ].filter(line => line !== null).join('\n')
+  }
+
+  schedule(events = []) {
+    events.forEach(event => {
+      const { delay = 100, line } = typeof event === 'string' ? { line: event } : event
+      this.after(delay, () => this.emit(line))
+    })
+  }
+
+  after(delay, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer)
+      callback()
+    }, delay)
+    this.timers.add(timer)
+  }
+
+  goHome() {
+    this.activeAppId = null
+    this.playbackStartedAt = null
+  }
+
+  // Write a line to every connected debug console client
+  emit(line) {
+    const text = `${line}\r\n`
+    const chunkSize = this.scenario.chunkSize
+
+    this.clients.forEach(socket => {
+      if (!chunkSize) {
+        socket.write(text)
+        return
+      }
+      // Fragment output to exercise line reassembly in the tester
+      for (let i = 0; i < text.length; i += chunkSize) {
+        socket.write(text.slice(i, i + chunkSize))
+      }
+    })
+  }
+
+  deviceInfoXml() {
+    const info = this.deviceInfo
+    return [
+      '<?xml version="1.0" encoding="UTF-8" ?>',
+      '<device-info>',
+      `  <serial-number>${escapeXml(info.serialNumber)}</serial-number>`,
+      `  <model-name>${escapeXml(info.modelName)}</model-name>`,
+      `  <model-number>${escapeXml(info.modelNumber)}</model-number>`,
+      `  <user-device-name>${escapeXml(info.friendlyName)}</user-device-name>`,
+      `  <software-version>${escapeXml(info.softwareVersion)}</software-version>`,
+      `  <developer-enabled>${Boolean(info.developerEnabled)}</developer-enabled>`,
+      '</device-info>',
+      ''
+    ].join('\n')
+  }
+
+  appsXml() {
+    const apps = this.apps.map(app =>
+      `  <app id="${escapeXml(app.id)}" type="${escapeXml(app.type || 'appl')}" version="${escapeXml(app.version || '1.0.0')}">${escapeXml(app.name || app.id)}</app>`)
+    return ['<?xml version="1.0" encoding="UTF-8" ?>', '<apps>', ...apps, '</apps>', ''].join('\n')
+  }
+
+  // Player state derived from the time since the last deep link
+  playerState() {
+    const config = this.scenario.player
+    if (!config || this.playbackStartedAt === null) {
+      return { state: 'close', error: false, position: 0 }
+    }
+
+    const elapsed = Date.now() - this.playbackStartedAt
+    const startDelay = config.startDelay || 0
+    if (elapsed < startDelay) {
+      return { state: 'buffer', error: false, position: 0 }
+    }
+    if (config.error) {
+      return { state: 'close', error: true, position: 0 }
+    }
+
+    const playing = elapsed - startDelay
+    // A stalled player still claims "play" but its position stops moving
+    const position = config.stallAfter !== undefined ? Math.min(playing, config.stallAfter) : playing
+    return { state: 'play', error: false, position, live: Boolean(config.live) }
+  }
+
+  activeAppXml() {
+    const lines = ['<?xml version="1.0" encoding="UTF-8" ?>', '<active-app>']
+    if (this.activeAppId === null) {
+      lines.push('  <app>Roku</app>')
+    } else {
+      const app = this.apps.find(candidate => candidate.id === this.activeAppId) || { id: this.activeAppId }
+      lines.push(`  <app id="${escapeXml(app.id)}" type="appl" version="${escapeXml(app.version || '1.0.0')}">${escapeXml(app.name || app.id)}</app>`)
+    }
+    if (this.screensaver) {
+      lines.push('  <screensaver id="55545" type="ssvr" version="2.0.1">Default screensaver</screensaver>')
+    }
+    lines.push('</active-app>', '')
+    return lines.join('\n')
+  }
+
+  mediaPlayerXml() {
+    const player = this.playerState()
+    const lines = ['<?xml version="1.0" encoding="UTF-8" ?>', `<player error="${player.error}" state="${player.state}">`]
+    if (player.state !== 'close') {
+      lines.push(
+        '  <plugin bandwidth="5000000 bps" id="dev" name="Mock Dev Channel"/>',
+        '  <format audio="aac_adts" captions="none" container="hls" drm="none" video="mpeg4_10b"/>',
+        `  <position>${player.position} ms</position>`,
+        '  <duration>5400000 ms</duration>',
+        `  <is_live>${Boolean(player.live)}</is_live>`
+      )
+    }
+    lines.push('</player>', '')
+    return lines.join('\n')
+  }
+
+  // Requests received for one ECP command, e.g. device.requestsFor('launch')
+  requestsFor(command) {
+    return this.requests.filter(request => request.command === command)
+  }
+}
+
+MockRokuDevice.SCENARIOS = SCENARIOS
+MockRokuDevice.MEDIA_TYPES = MEDIA_TYPES
+
+module.exports = MockRokuDevice
@@ -0,0 +1,41 @@
+// Values no catalog should contain, so the app has to reject the deep link
+const INVALID_CONTENT_ID = 'rdlt-invalid-content-000000'
+const INVALID_MEDIA_TYPE = 'invalidMediaType'
+
+// Debug console output of a BrightScript crash: the app drops into the
+// micro debugger (or the device prints a runtime error) instead of handling the link
+const CRASH_PATTERNS = [
+  /BrightScript Micro Debugger/,
+  /runtime error &h[0-9a-f]+/i,
+  /Suspending threads\.\.\./
+]
+
+// Deep links that certification expects an app to survive: an unknown
+// contentId and an unsupported mediaType, sent with launch and with input
+class NegativeScenarios {
+  // [{ id, testName, command, params }] for the configured content and media type
+  static build(contentId, mediaType) {
+    const cases = [
+      { id: 'invalid-content-id', label: 'Invalid Content ID', params: { contentId: INVALID_CONTENT_ID, mediaType } },
+      { id: 'invalid-media-type', label: 'Invalid Media Type', params: { contentId, mediaType: INVALID_MEDIA_TYPE } }
+    ]
+
+    return cases.flatMap(scenario => ['launch', 'input'].map(command => ({
+      id: `${scenario.id}-${command}`,
+      testName: `${scenario.label} ${command === 'launch' ? 'Launch' : 'Input'} Test`,
+      command,
+      params: scenario.params
+    })))
+  }
+
+  // Debug console lines that show a crash
+  static findCrash(lines) {
+    return lines.filter(line => CRASH_PATTERNS.some(pattern => pattern.test(line)))
+  }
+}
+
+NegativeScenarios.INVALID_CONTENT_ID = INVALID_CONTENT_ID
+NegativeScenarios.INVALID_MEDIA_TYPE = INVALID_MEDIA_TYPE
+NegativeScenarios.CRASH_PATTERNS = CRASH_PATTERNS
+
+module.exports = NegativeScenarios
@@ -0,0 +1,104 @@
+// How the playback verdict for movie/episode deep links is reached:
+// beacons - VOD/Live beacons only (default)
+// player  - /query/media-player polling only
+// either  - beacons or player
+// both    - beacons and player
+const PLAYBACK_MODES = ['beacons', 'player', 'either', 'both']
+
+// Confirms playback independently of beacons by polling ECP /query/media-player:
+// the player must reach "play" and its position must keep advancing.
+class PlaybackVerifier {
+  constructor(client, options = {}) {
+    this.client = client
+    this.watchTime = (options.seconds !== undefined ? parseFloat(options.seconds) : 5) * 1000
+    this.timeout = options.timeout || 30000 // Time allowed to reach the play state
+    this.interval = options.interval || 1000
+    this.log = options.log || (() => {})
+  }
+
+  async verify() {
+    const startedAt = Date.now()
+    // Reaching play and then watching it advance must both fit in this window,
+    // so failing queries after play can't keep the loop going forever
+    const deadline = startedAt + this.timeout + this.watchTime
+    const errors = []
+    let samples = 0
+    let lastState = null
+    let playingSince = null
+    let startPosition = null
+    let lastPosition = null
+    let timeToPlay = null
+
+    const finish = (passed, error = null) => ({
+      passed,
+      error,
+      state: lastState,
+      timeToPlay,
+      startPosition,
+      endPosition: lastPosition,
+      advancedMs: startPosition !== null && lastPosition !== null ? lastPosition - startPosition : 0,
+      watchedMs: playingSince ? Date.now() - playingSince : 0,
+      samples,
+      errors
+    })
+
+    while (true) {
+      const now = Date.now()
+      let player = null
+
+      try {
+        player = await this.client.mediaPlayer()
+        samples++
+      } catch (error) {
+        const message = `media-player query failed: ${error.message}`
+        if (!errors.includes(message)) {
+          errors.push(message)
+        }
+      }
+
+      if (player) {
+        lastState = player.state
+
+        if (player.error) {
+          errors.push(`Player reported an error in state "${player.state}"`)
+          return finish(false, `Player reported an error (state: ${player.state})`)
+        }
+
+        if (playingSince === null) {
+          if (player.state === 'play') {
+            playingSince = now
+            timeToPlay = now - startedAt
+            startPosition = player.position
+            lastPosition = player.position
+            this.log(`Player reached play state after ${timeToPlay}ms at position ${player.position}ms`)
+          }
+        } else {
+          if (player.state !== 'play') {
+            return finish(false, `Player left the play state ("${player.state}") after ${((now - playingSince) / 1000).toFixed(1)}s`)
+          }
+          if (player.position === null || player.position <= lastPosition) {
+            return finish(false, `Playback stalled at position ${lastPosition}ms`)
+          }
+          lastPosition = player.position
+
+          if (now - playingSince >= this.watchTime) {
+            return finish(true)
+          }
+        }
+      }
+
+      if (playingSince === null && now - startedAt >= this.timeout) {
+        return finish(false, `Player did not reach the play state within ${this.timeout / 1000}s (last state: ${lastState || 'unknown'})`)
+      }
+      if (now >= deadline) {
+        return finish(false, `Playback could not be confirmed for ${this.watchTime / 1000}s within ${(deadline - startedAt) / 1000}s${errors.length > 0 ? ` (${errors[errors.length - 1]})` : ''}`)
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.interval))
+    }
+  }
+}
+
+PlaybackVerifier.PLAYBACK_MODES = PLAYBACK_MODES
+
+module.exports = PlaybackVerifier
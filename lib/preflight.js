@@ -0,0 +1,138 @@
+const net = require('net')
+const EcpClient = require('./ecp-client')
+
+// Checks that run before the debug console connection: is ECP reachable, is
+// the target app installed, and does the debug console accept connections.
+// Each check records { name, passed, message } with a precise diagnostic.
+class Preflight {
+  constructor(options = {}) {
+    this.ip = options.ip
+    this.ecpPort = parseInt(options.ecpPort) || 8060
+    this.telnetPort = parseInt(options.telnetPort) || 8085
+    this.appIds = [...new Set([].concat(options.appIds || []).map(String))]
+    this.timeout = options.timeout || 5000
+    this.client = new EcpClient(this.ip, { port: this.ecpPort, timeout: this.timeout })
+  }
+
+  async run() {
+    const checks = []
+    const result = { passed: false, checks, device: null, apps: [] }
+
+    result.device = await this.checkDevice(checks)
+    if (!result.device) {
+      // Nothing else can be checked without ECP
+      return result
+    }
+
+    result.apps = await this.checkApps(checks)
+    await this.checkDebugConsole(checks, result.device)
+
+    result.passed = checks.every(check => check.passed)
+    return result
+  }
+
+  async checkDevice(checks) {
+    let info
+    try {
+      info = await this.client.deviceInfo()
+    } catch (error) {
+      checks.push({ name: 'device-info', passed: false, message: this.describeEcpError(error) })
+      return null
+    }
+
+    const { fields, ip, ecpPort, ...device } = info
+    checks.push({
+      name: 'device-info',
+      passed: true,
+      message: `${device.friendlyName || 'Roku'} - ${device.modelName} (${device.modelNumber}), OS ${device.softwareVersion}`
+    })
+
+    // The dev channel can only exist with developer mode on
+    if (this.appIds.includes('dev')) {
+      checks.push({
+        name: 'developer-mode',
+        passed: device.developerEnabled,
+        message: device.developerEnabled
+          ? 'Developer mode is enabled'
+          : 'Developer mode is disabled - the sideloaded "dev" channel cannot run. Enable it with Home x3, Up x2, Right, Left, Right, Left, Right'
+      })
+    }
+
+    return device
+  }
+
+  async checkApps(checks) {
+    let installed
+    try {
+      installed = await this.client.apps()
+    } catch (error) {
+      checks.push({ name: 'apps', passed: false, message: `Could not list installed apps: ${this.describeEcpError(error)}` })
+      return []
+    }
+
+    return this.appIds.map(appId => {
+      const app = installed.find(candidate => candidate.id === appId)
+      if (!app) {
+        const message = appId === 'dev'
+          ? 'No sideloaded "dev" channel is installed - sideload the app through the Development Application Installer first'
+          : `App ${appId} is not installed on the device (${installed.filter(candidate => candidate.type === 'appl').length} channels installed)`
+        checks.push({ name: `app:${appId}`, passed: false, message })
+        return { id: appId, installed: false }
+      }
+
+      checks.push({ name: `app:${appId}`, passed: true, message: `${app.name || appId} ${app.version ? `v${app.version}` : ''} is installed`.trim() })
+      return { ...app, installed: true }
+    })
+  }
+
+  checkDebugConsole(checks, device) {
+    return new Promise(resolve => {
+      const socket = new net.Socket()
+      const finish = (passed, message) => {
+        clearTimeout(timer)
+        socket.destroy()
+        checks.push({ name: 'debug-console', passed, message })
+        resolve(passed)
+      }
+
+      const timer = setTimeout(() => {
+        finish(false, `Debug console port ${this.telnetPort} did not accept a connection within ${this.timeout / 1000}s`)
+      }, this.timeout)
+
+      socket.once('connect', () => finish(true, `Debug console port ${this.telnetPort} accepts connections`))
+      socket.once('error', (error) => {
+        const hint = device && !device.developerEnabled
+          ? ' - developer mode is disabled, so the debug console is not running'
+          : ' - close other telnet sessions to the device and check firewalls'
+        finish(false, `Debug console port ${this.telnetPort} refused the connection (${error.code || error.message})${hint}`)
+      })
+      socket.connect(this.telnetPort, this.ip)
+    })
+  }
+
+  describeEcpError(error) {
+    const url = `http://${this.ip}:${this.ecpPort}`
+
+    if (error.response) {
+      if (error.response.status === 403) {
+        return `ECP at ${url} returned 403 Forbidden - set Settings > System > Advanced system settings > Control by mobile apps > Network access to "Default" or "Permissive"`
+      }
+      return `ECP at ${url} returned HTTP ${error.response.status}`
+    }
+
+    switch (error.code) {
+      case 'ECONNREFUSED':
+        return `ECP at ${url} refused the connection - check that ${this.ip} is a Roku device and the ECP port is correct`
+      case 'ECONNABORTED':
+      case 'ETIMEDOUT':
+        return `No response from ECP at ${url} within ${this.timeout / 1000}s - check the IP address and that the device is powered on and on this network`
+      case 'EHOSTUNREACH':
+      case 'ENETUNREACH':
+        return `Host ${this.ip} is unreachable from this machine - check the network route to the device`
+      default:
+        return `ECP at ${url} failed: ${error.message}`
+    }
+  }
+}
+
+module.exports = Preflight
@@ -1,51 +1,191 @@
-const fs = require('fs').promises
 const path = require('path')
-const YAML = require('yaml')
 const axios = require('axios')
 const chalk = require('chalk')
+const EcpClient = require('./ecp-client')
+const ActiveAppMonitor = require('./active-app-monitor')
+const RaspScript = require('./rasp-script')
+const RaspSchema = require('./rasp-schema')
+const Secrets = require('./secrets')
+
+// Limits on_failure: goto loops that would otherwise never end
+const MAX_JUMPS = 20
+
+// "Login (ok|complete)" or "/login ok/i"
+function parsePattern(pattern) {
+  const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/)
+  return match ? new RegExp(match[1], match[2]) : new RegExp(pattern)
+}
 
 class RaspRunner {
-  constructor(rokuIp, scriptPath) {
+  constructor(rokuIp, scriptPath, options = {}) {
     this.rokuIp = rokuIp
     this.scriptPath = scriptPath
-    this.script = null
+    this.script = null // Expanded RaspScript
     this.params = {}
+    this.vars = options.vars || {} // --rasp-var overrides
+    this.ecpBaseUrl = `http://${rokuIp}:${options.ecpPort || 8060}`
+    // Called with a description of every ECP command sent (session log markers)
+    this.onCommand = options.onCommand || (() => {})
+    // Called with the name of each screenshot step; resolves to { name, path } or { name, error }
+    this.onScreenshot = options.onScreenshot || null
+    this.screenshots = []
+    // Resolves script-* placeholders; every resolved value is masked in the log
+    this.secrets = options.secrets || new Secrets()
+    const log = options.log || console.log
+    this.log = (message) => log(this.secrets.redact(message))
+    // Debug console feed shared by the tester ('line' and 'beacon' events), used by wait_for_log/beacon
+    this.stream = options.stream || null
+    this.ecpClient = options.ecpClient || new EcpClient(rokuIp, { port: options.ecpPort })
+    this.pollInterval = options.pollInterval || 500
+    this.received = [] // { type: 'line' | 'beacon', value, at } since the script started
+    this.cursor = 0 // Waits only match output from the last action onwards
+    this.waiters = new Set()
+    this.executedSteps = 0
+    // Steps that failed, including ones the script continued past: { index, location, label, description, error, attempts, action }
+    this.failures = []
+    this.failedStep = null // The failure that aborted the script
+  }
+
+  static isWaitStep(stepType) {
+    return RaspSchema.isWaitStep(stepType)
+  }
+
+  static isAssertStep(stepType) {
+    return RaspSchema.isAssertStep(stepType)
   }
 
   async execute() {
     // Load and parse the RASP script
     await this.loadScript()
     
-    console.log(chalk.cyan(`Executing RASP script: ${path.basename(this.scriptPath)}`))
-    console.log(chalk.gray(`Steps: ${this.script.steps?.length || 0}`))
+    this.log(chalk.cyan(`Executing RASP script: ${path.basename(this.scriptPath)}`))
+    this.log(chalk.gray(`Steps: ${this.script.steps?.length || 0}`))
+
+    const onLine = (line, at = new Date()) => this.record('line', line, at)
+    const onBeacon = (name, at = new Date()) => this.record('beacon', name, at)
+    if (this.stream) {
+      this.stream.on('line', onLine)
+      this.stream.on('beacon', onBeacon)
+    }
+
+    const waitTime = this.params.default_keypress_wait || 1
+    let jumps = 0
+
+    try {
+      // Execute each step
+      for (let i = 0; i < this.script.steps.length; i++) {
+        const step = this.script.steps[i]
+        const { type, options } = RaspScript.parseStep(step)
+        this.log(chalk.blue(`[${i + 1}/${this.script.steps.length}] ${this.getStepDescription(step)}`))
+
+        // Output caused by an action (and anything after it) can satisfy the next wait
+        if (!RaspRunner.isWaitStep(type) && !RaspRunner.isAssertStep(type)) {
+          this.cursor = this.received.length
+        }
+
+        this.executedSteps++
+        try {
+          await this.runStep(step, waitTime)
+        } catch (error) {
+          const onFailure = RaspScript.parseOnFailure(options.on_failure) || { action: 'abort' }
+          const failure = {
+            index: i + 1, // 1-based, as in the [n/total] progress lines
+            location: this.script.locations[i],
+            label: options.label || null,
+            description: this.getStepDescription(step),
+            error: error.message,
+            attempts: error.attempts || 1,
+            action: onFailure.action
+          }
+          this.failures.push(failure)
+
+          const target = onFailure.action === 'goto' ? this.script.findLabel(onFailure.target) : -1
+          if (onFailure.action === 'continue') {
+            this.log(chalk.yellow(`  ${error.message} - continuing (on_failure: continue)`))
+          } else if (onFailure.action === 'goto' && target >= 0 && jumps < MAX_JUMPS) {
+            jumps++
+            this.log(chalk.yellow(`  ${error.message} - going to step "${onFailure.target}"`))
+            i = target - 1
+            continue
+          } else {
+            if (onFailure.action === 'goto') {
+              failure.action = 'abort'
+              error.message += target < 0 ? ` (on_failure: no step labelled "${onFailure.target}")` : ` (on_failure: gave up after ${MAX_JUMPS} jumps)`
+            }
+            this.failedStep = failure
+            error.message = `${failure.location}: ${error.message}`
+            throw error
+          }
+        }
+
+        // Default wait between steps
+        if (i < this.script.steps.length - 1) { // Don't wait after last step
+          await this.wait(waitTime * 1000)
+        }
+      }
+    } finally {
+      if (this.stream) {
+        this.stream.removeListener('line', onLine)
+        this.stream.removeListener('beacon', onBeacon)
+      }
+    }
     
-    // Execute each step
-    for (let i = 0; i < this.script.steps.length; i++) {
-      const step = this.script.steps[i]
-      console.log(chalk.blue(`[${i + 1}/${this.script.steps.length}] ${this.getStepDescription(step)}`))
-      
-      await this.executeStep(step)
-      
-      // Default wait between steps
-      const waitTime = this.params.default_keypress_wait || 1
-      if (i < this.script.steps.length - 1) { // Don't wait after last step
+    this.log(chalk.green('RASP script execution completed'))
+  }
+
+  // Run a step with its retries and timeout options. The error of the last
+  // attempt is thrown, with the number of attempts in error.attempts.
+  async runStep(step, waitTime) {
+    const { type, options } = RaspScript.parseStep(step)
+    const attempts = 1 + (parseInt(options.retries) || 0)
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Wait steps apply the timeout themselves, with a more useful message
+        if (options.timeout && !RaspRunner.isWaitStep(type)) {
+          await this.withTimeout(cancel => this.executeStep(step, cancel), parseFloat(options.timeout), type)
+        } else {
+          await this.executeStep(step)
+        }
+        return
+      } catch (error) {
+        if (attempt >= attempts) {
+          error.attempts = attempt
+          throw error
+        }
+        this.log(chalk.yellow(`  Attempt ${attempt}/${attempts} failed: ${error.message} - retrying`))
         await this.wait(waitTime * 1000)
       }
     }
-    
-    console.log(chalk.green('RASP script execution completed'))
+  }
+
+  // On timeout the step is aborted: its ECP request is cancelled and no further
+  // keypresses are sent, so a retry can't interleave with the timed-out attempt
+  withTimeout(run, timeout, stepType) {
+    const cancel = axios.CancelToken.source()
+    let timer
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        cancel.cancel('aborted after the step timeout')
+        reject(new Error(`Failed to execute step ${stepType}: did not finish within ${timeout}s`))
+      }, timeout * 1000)
+    })
+    const step = run(cancel)
+    step.catch(() => {}) // Its error after an abort is not interesting
+    return Promise.race([step, expired]).finally(() => clearTimeout(timer))
+  }
+
+  record(type, value, at) {
+    this.received.push({ type, value, at })
+    this.waiters.forEach(waiter => waiter())
   }
 
   async loadScript() {
     try {
-      const scriptContent = await fs.readFile(this.scriptPath, 'utf8')
-      this.script = YAML.parse(scriptContent)
-      this.params = this.script.params || {}
-      
-      if (!this.script.steps || !Array.isArray(this.script.steps)) {
-        throw new Error('RASP script must contain a "steps" array')
-      }
-      
+      // Includes, subroutines, repeat blocks and ${vars} are resolved up front
+      this.script = await RaspScript.load(this.scriptPath, { vars: this.vars })
+      this.params = this.script.params
+      this.secrets.configure(this.params.secrets, { baseDir: path.dirname(path.resolve(this.scriptPath)) })
     } catch (error) {
       if (error.code === 'ENOENT') {
         throw new Error(`RASP script file not found: ${this.scriptPath}`)
@@ -55,8 +195,7 @@ class RaspRunner {
   }
 
   getStepDescription(step) {
-    const stepType = Object.keys(step)[0]
-    const stepValue = step[stepType]
+    const { type: stepType, value: stepValue, options } = RaspScript.parseStep(step)
     
     switch (stepType) {
       case 'launch':
@@ -67,118 +206,149 @@ class RaspRunner {
         return `Enter text: ${stepValue}`
       case 'pause':
         return `Wait ${stepValue} seconds`
+      case 'screenshot':
+        return `Screenshot: ${stepValue}`
+      case 'wait_for_log':
+      case 'wait_for_beacon':
+      case 'wait_for_active_app':
+      case 'wait_for_player_state': {
+        const { value, timeout } = this.waitOptions(stepType, stepValue, options.timeout)
+        const what = { wait_for_log: 'log line matching', wait_for_beacon: 'beacon', wait_for_active_app: 'active app', wait_for_player_state: 'player state' }[stepType]
+        return `Wait for ${what} ${value} (up to ${timeout}s)`
+      }
+      case 'assert_log':
+        return `Assert a log line matches ${stepValue}`
+      case 'assert_not_log':
+        return `Assert no log line matches ${stepValue}`
+      case 'assert_active_app':
+        return `Assert active app: ${stepValue}`
       default:
         return `Execute: ${stepType} = ${stepValue}`
     }
   }
 
-  async executeStep(step) {
-    const stepType = Object.keys(step)[0]
-    const stepValue = step[stepType]
+  // cancel: axios CancelToken source of a step timeout, checked by the steps that send keypresses
+  async executeStep(step, cancel = null) {
+    const { type: stepType, value: stepValue, options } = RaspScript.parseStep(step)
     
     try {
       switch (stepType) {
         case 'launch':
-          await this.launchChannel(stepValue)
+          await this.launchChannel(stepValue, cancel)
           break
           
         case 'press':
-          await this.pressKey(stepValue)
+          await this.pressKey(stepValue, cancel)
           break
           
         case 'text':
-          await this.enterText(stepValue)
+          await this.enterText(stepValue, cancel)
           break
           
         case 'pause':
           await this.wait(parseInt(stepValue) * 1000)
           break
+
+        case 'screenshot':
+          await this.takeScreenshot(String(stepValue))
+          break
+
+        case 'wait_for_log':
+          await this.waitForLog(this.waitOptions(stepType, stepValue, options.timeout))
+          break
+
+        case 'wait_for_beacon':
+          await this.waitForBeacon(this.waitOptions(stepType, stepValue, options.timeout))
+          break
+
+        case 'wait_for_active_app':
+          await this.waitForActiveApp(this.waitOptions(stepType, stepValue, options.timeout))
+          break
+
+        case 'wait_for_player_state':
+          await this.waitForPlayerState(this.waitOptions(stepType, stepValue, options.timeout))
+          break
           
+        case 'assert_log':
+          this.assertLog(String(stepValue))
+          break
+
+        case 'assert_not_log':
+          this.assertNotLog(String(stepValue))
+          break
+
+        case 'assert_active_app':
+          await this.assertActiveApp(String(stepValue))
+          break
+
         default:
-          console.log(chalk.yellow(`Unknown step type: ${stepType}`))
+          throw new Error(`Unknown step type "${stepType}"`)
       }
     } catch (error) {
       throw new Error(`Failed to execute step ${stepType}: ${error.message}`)
     }
   }
 
-  async launchChannel(channelId) {
+  async launchChannel(channelId, cancel = null) {
     // Handle channel mapping from RASP script
     const channels = this.params.channels || {}
     const actualChannelId = channels[channelId] || channelId
     
-    const url = `http://${this.rokuIp}:8060/launch/${actualChannelId}`
+    const url = `${this.ecpBaseUrl}/launch/${actualChannelId}`
+    this.onCommand(`ECP POST ${url}`)
     
     await axios.post(url, '', {
       timeout: 10000,
+      cancelToken: cancel ? cancel.token : undefined,
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     })
     
-    console.log(chalk.gray(`  Launched channel: ${actualChannelId}`))
-  }
-
-  async pressKey(key) {
-    // Handle special key mappings
-    const keyMappings = {
-      'ok': 'Select',
-      'up': 'Up',
-      'down': 'Down',
-      'left': 'Left',
-      'right': 'Right',
-      'home': 'Home',
-      'back': 'Back',
-      'replay': 'InstantReplay',
-      'info': 'Info',
-      'backspace': 'Backspace',
-      'search': 'Search',
-      'enter': 'Enter'
+    this.log(chalk.gray(`  Launched channel: ${actualChannelId}`))
+  }
+
+  async pressKey(key, cancel = null) {
+    // Friendly names ("ok") and ECP key names ("VolumeUp") from the shared schema
+    const actualKey = RaspSchema.resolveKey(key)
+    if (!actualKey) {
+      throw new Error(`"${key}" is not an ECP key`)
     }
-    
-    const actualKey = keyMappings[key.toLowerCase()] || key
-    const url = `http://${this.rokuIp}:8060/keypress/${actualKey}`
+    const url = `${this.ecpBaseUrl}/keypress/${actualKey}`
+    this.onCommand(`ECP POST ${url}`)
     
     await axios.post(url, '', {
       timeout: 5000,
+      cancelToken: cancel ? cancel.token : undefined,
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     })
     
-    console.log(chalk.gray(`  Pressed key: ${actualKey}`))
+    this.log(chalk.gray(`  Pressed key: ${actualKey}`))
   }
 
-  async enterText(text) {
-    // Handle special text replacements (e.g., script-login, script-password)
-    let actualText = text
-    
-    // Replace placeholders with environment variables
-    if (text.startsWith('script-')) {
-      const placeholder = text.replace('script-', '').toUpperCase()
-      
-      // Map script-login and script-password to appropriate environment variables
-      let envVarName
-      if (placeholder === 'LOGIN') {
-        envVarName = 'RASP_LOGIN'
-      } else if (placeholder === 'PASSWORD') {
-        envVarName = 'RASP_PASSWORD'
-      } else {
-        envVarName = `RASP_${placeholder}`
-      }
-      
-      actualText = process.env[envVarName]
-      
-      if (!actualText) {
-        throw new Error(`Required environment variable not set: ${envVarName}. Set it with: export ${envVarName}="your-value"`)
-      }
-      
-      console.log(chalk.gray(`  Using environment variable: ${envVarName}`))
+  async enterText(text, cancel = null) {
+    // script-login, script-password, script-pin, ... come from the secrets providers in params.secrets
+    const secretName = RaspSchema.placeholderName(text)
+    let actualText = String(text)
+    if (secretName) {
+      const secret = await this.secrets.resolve(secretName)
+      actualText = secret.value
+      this.log(chalk.gray(`  Using secret ${text} from ${secret.source}`))
     }
     
+    // Only the length is reported - the text may be a credential
+    this.onCommand(`ECP text (${actualText.length} characters)`)
+
     // Send text character by character for better compatibility
     for (const char of actualText) {
+      // A timed-out attempt stops here instead of typing into the retry
+      if (cancel && cancel.token.reason) {
+        throw new Error('aborted after the step timeout')
+      }
       const encodedChar = encodeURIComponent(char)
-      const url = `http://${this.rokuIp}:8060/keypress/Lit_${encodedChar}`
+      const url = `${this.ecpBaseUrl}/keypress/Lit_${encodedChar}`
       
       await axios.post(url, '', {
         timeout: 5000,
+        cancelToken: cancel ? cancel.token : undefined,
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
       })
       
@@ -186,8 +356,163 @@ class RaspRunner {
       await new Promise(resolve => setTimeout(resolve, 50))
     }
     
-    const displayText = text.includes('password') ? '*'.repeat(actualText.length) : actualText
-    console.log(chalk.gray(`  Entered text: ${displayText}`))
+    const displayText = secretName ? '*'.repeat(actualText.length) : actualText
+    this.log(chalk.gray(`  Entered text: ${displayText}`))
+  }
+
+  // "wait_for_log: Login ok" or "wait_for_log: { pattern: Login ok, timeout: 20 }"
+  // A timeout inside the wait object wins over the step's timeout option
+  waitOptions(stepType, stepValue, stepTimeout) {
+    const field = RaspSchema.WAIT_STEPS[stepType]
+    const options = stepValue && typeof stepValue === 'object' ? stepValue : { [field]: stepValue }
+    return {
+      value: String(options[field]),
+      timeout: parseFloat(options.timeout || stepTimeout || this.params.default_wait_timeout || 30)
+    }
+  }
+
+  async waitForLog({ value, timeout }) {
+    const pattern = parsePattern(value)
+    const entry = await this.waitForOutput('wait_for_log', `a log line matching ${pattern}`, timeout,
+      received => received.type === 'line' && pattern.test(received.value))
+    this.log(chalk.gray(`  Matched: ${entry.value}`))
+  }
+
+  async waitForBeacon({ value, timeout }) {
+    await this.waitForOutput('wait_for_beacon', `beacon ${value}`, timeout,
+      received => received.type === 'beacon' && received.value === value)
+    this.log(chalk.gray(`  Beacon received: ${value}`))
+  }
+
+  // Resolve with the first debug console event from the cursor onwards that matches
+  waitForOutput(stepType, description, timeout, matches) {
+    if (!this.stream) {
+      return Promise.reject(new Error(`${stepType} needs the debug console stream - run the script through the tester (--signed-in --script)`))
+    }
+
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        for (let i = this.cursor; i < this.received.length; i++) {
+          if (matches(this.received[i])) {
+            this.cursor = i + 1
+            done()
+            resolve(this.received[i])
+            return
+          }
+        }
+        this.cursor = this.received.length
+      }
+      const timer = setTimeout(() => {
+        done()
+        reject(new Error(`Timed out after ${timeout}s waiting for ${description}`))
+      }, timeout * 1000)
+      const done = () => {
+        clearTimeout(timer)
+        this.waiters.delete(check)
+      }
+
+      this.waiters.add(check)
+      check()
+    })
+  }
+
+  async waitForActiveApp({ value, timeout }) {
+    const channels = this.params.channels || {}
+    const appId = String(channels[value] || value)
+    const monitor = new ActiveAppMonitor(this.ecpClient, appId)
+
+    await this.poll(`active app ${appId}`, timeout, async () => {
+      const app = await monitor.sample()
+      return { done: monitor.isExpected(app), last: app ? ActiveAppMonitor.describe(app) : monitor.queryError }
+    })
+    this.log(chalk.gray(`  ${appId} is in the foreground`))
+  }
+
+  async waitForPlayerState({ value, timeout }) {
+    await this.poll(`player state "${value}"`, timeout, async () => {
+      const player = await this.ecpClient.mediaPlayer()
+      return { done: player.state === value, last: player.state }
+    })
+    this.log(chalk.gray(`  Player state: ${value}`))
+  }
+
+  // Poll an ECP query until check() reports done, failing with the last value seen
+  async poll(description, timeout, check) {
+    const deadline = Date.now() + timeout * 1000
+    let last = 'no response'
+
+    while (true) {
+      try {
+        const result = await check()
+        if (result.done) {
+          return
+        }
+        last = result.last
+      } catch (error) {
+        last = error.message
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeout}s waiting for ${description} (last: ${last})`)
+      }
+      await this.wait(Math.min(this.pollInterval, Math.max(0, deadline - Date.now())))
+    }
+  }
+
+  // Assertions look at everything the debug console printed since the script started
+  assertLog(value) {
+    const pattern = parsePattern(value)
+    const lines = this.receivedLines('assert_log')
+    if (!lines.some(line => pattern.test(line))) {
+      throw new Error(`No log line matching ${pattern} since the script started (${lines.length} lines received)`)
+    }
+    this.log(chalk.gray(`  Log matches ${pattern}`))
+  }
+
+  assertNotLog(value) {
+    const pattern = parsePattern(value)
+    const line = this.receivedLines('assert_not_log').find(line => pattern.test(line))
+    if (line !== undefined) {
+      throw new Error(`Log line matches ${pattern}: ${line}`)
+    }
+    this.log(chalk.gray(`  No log line matches ${pattern}`))
+  }
+
+  receivedLines(stepType) {
+    if (!this.stream) {
+      throw new Error(`${stepType} needs the debug console stream - run the script through the tester (--signed-in --script)`)
+    }
+    return this.received.filter(entry => entry.type === 'line').map(entry => entry.value)
+  }
+
+  async assertActiveApp(value) {
+    const channels = this.params.channels || {}
+    const appId = String(channels[value] || value)
+    const monitor = new ActiveAppMonitor(this.ecpClient, appId)
+
+    const app = await monitor.sample()
+    if (!app) {
+      throw new Error(`Could not query the active app: ${monitor.queryError}`)
+    }
+    if (!monitor.isExpected(app)) {
+      throw new Error(`Expected ${appId} in the foreground, but ${ActiveAppMonitor.describe(app)} is active`)
+    }
+    this.log(chalk.gray(`  ${appId} is in the foreground`))
+  }
+
+  async takeScreenshot(name) {
+    if (!this.onScreenshot) {
+      this.log(chalk.yellow(`  Screenshots are not enabled (--screenshots) - skipping "${name}"`))
+      return
+    }
+
+    // A failed capture is recorded but doesn't stop the script
+    const entry = await this.onScreenshot(name)
+    if (!entry) {
+      return
+    }
+    this.screenshots.push(entry)
+    this.log(chalk.gray(entry.path ? `  Saved screenshot: ${entry.path}` : `  Screenshot failed: ${entry.error}`))
   }
 
   wait(ms) {
@@ -0,0 +1,105 @@
+// What a RASP step may contain. RaspRunner executes against this and
+// RaspValidator checks against it, so a script that validates also runs.
+
+// Every key ECP /keypress accepts (besides Lit_<character>)
+const ECP_KEYS = [
+  'Home', 'Rev', 'Fwd', 'Play', 'Select', 'Left', 'Right', 'Down', 'Up', 'Back',
+  'InstantReplay', 'Info', 'Backspace', 'Search', 'Enter',
+  'FindRemote', 'VolumeDown', 'VolumeUp', 'VolumeMute', 'Power', 'PowerOn', 'PowerOff',
+  'ChannelUp', 'ChannelDown', 'InputTuner', 'InputHDMI1', 'InputHDMI2', 'InputHDMI3', 'InputHDMI4', 'InputAV1'
+]
+
+// Friendly names used in scripts; ECP names work too, in any case
+const KEY_ALIASES = {
+  ok: 'Select',
+  replay: 'InstantReplay',
+  rewind: 'Rev',
+  forward: 'Fwd'
+}
+
+// Steps that block until the device reaches a condition, and the field
+// holding the awaited value when they are written as an object
+const WAIT_STEPS = {
+  wait_for_log: 'pattern',
+  wait_for_beacon: 'beacon',
+  wait_for_active_app: 'app',
+  wait_for_player_state: 'state'
+}
+
+// Steps that check the device state right away
+const ASSERT_STEPS = ['assert_log', 'assert_not_log', 'assert_active_app']
+
+const STEP_TYPES = ['launch', 'press', 'text', 'pause', 'screenshot', ...Object.keys(WAIT_STEPS), ...ASSERT_STEPS]
+
+// States reported by /query/media-player
+const PLAYER_STATES = ['none', 'startup', 'buffer', 'play', 'pause', 'stop', 'close', 'finished']
+
+// "ok" -> "Select", "volumeup" -> "VolumeUp", "a" -> "Lit_a"; null for anything ECP doesn't accept
+function resolveKey(key) {
+  const name = String(key)
+  const lower = name.toLowerCase()
+  if (KEY_ALIASES[lower]) {
+    return KEY_ALIASES[lower]
+  }
+  const ecpKey = ECP_KEYS.find(ecp => ecp.toLowerCase() === lower)
+  if (ecpKey) {
+    return ecpKey
+  }
+  if (/^[A-Za-z0-9]$/.test(name)) {
+    return `Lit_${name}`
+  }
+  return /^Lit_.+$/.test(name) ? name : null
+}
+
+// text: script-login is the secret "login"; null for plain text
+function placeholderName(text) {
+  const match = String(text).match(/^script-(.+)$/)
+  return match ? match[1] : null
+}
+
+// The environment variable the env secrets provider reads: script-login -> RASP_LOGIN, script-api-key -> RASP_API_KEY
+function placeholderVariable(text) {
+  const name = placeholderName(text)
+  return name ? `RASP_${name.toUpperCase().replace(/-/g, '_')}` : null
+}
+
+// Channel IDs can be launched without a params.channels entry:
+// 12345, dev, or a beta channel such as 12345_a1b2
+function isChannelId(value) {
+  return /^(dev|\d+|\d+_[0-9a-f]+)$/i.test(String(value))
+}
+
+class RaspSchema {
+  static resolveKey(key) {
+    return resolveKey(key)
+  }
+
+  static placeholderName(text) {
+    return placeholderName(text)
+  }
+
+  static placeholderVariable(text) {
+    return placeholderVariable(text)
+  }
+
+  static isChannelId(value) {
+    return isChannelId(value)
+  }
+
+  static isWaitStep(stepType) {
+    return stepType in WAIT_STEPS
+  }
+
+  static isAssertStep(stepType) {
+    return ASSERT_STEPS.includes(stepType)
+  }
+}
+
+RaspSchema.ECP_KEYS = ECP_KEYS
+RaspSchema.KEY_ALIASES = KEY_ALIASES
+RaspSchema.WAIT_STEPS = WAIT_STEPS
+RaspSchema.ASSERT_STEPS = ASSERT_STEPS
+RaspSchema.STEP_TYPES = STEP_TYPES
+RaspSchema.PLAYER_STATES = PLAYER_STATES
+
+module.exports = RaspSchema
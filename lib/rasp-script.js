@@ -0,0 +1,328 @@
+const fs = require('fs').promises
+const path = require('path')
+const YAML = require('yaml')
+
+// Guards against repeat/call combinations that would never finish expanding
+const MAX_STEPS = 10000
+
+// Keys that configure a step rather than name its action:
+//   - press: ok
+//     label: submit
+//     timeout: 5
+//     retries: 2
+//     on_failure: continue   # abort (default), continue or "goto <label>"
+const STEP_OPTIONS = ['label', 'timeout', 'retries', 'on_failure']
+
+// { press: ok, retries: 2 } -> { type: 'press', value: 'ok', options: { retries: 2 }, actions: ['press'] }
+function parseStep(step) {
+  const actions = Object.keys(step).filter(key => !STEP_OPTIONS.includes(key))
+  const options = {}
+  STEP_OPTIONS.filter(key => key in step).forEach(key => {
+    options[key] = step[key]
+  })
+  return { type: actions[0], value: step[actions[0]], options, actions }
+}
+
+// Record where each mapping and list of a parsed document starts, keyed by the
+// plain object toJS() produced for it: { line, column, keys: { name: { line, column } } }
+function recordPositions(node, value, lineCounter, positions) {
+  if (!node || !value || typeof value !== 'object' || !node.range) {
+    return
+  }
+  const at = (offset) => {
+    const { line, col } = lineCounter.linePos(offset)
+    return { line, column: col }
+  }
+
+  const position = { ...at(node.range[0]), keys: {} }
+  positions.set(value, position)
+  if (YAML.isMap(node)) {
+    node.items.forEach(pair => {
+      const key = pair.key && pair.key.value !== undefined ? String(pair.key.value) : null
+      if (key !== null) {
+        position.keys[key] = at(pair.key.range[0])
+        recordPositions(pair.value, value[key], lineCounter, positions)
+      }
+    })
+  } else if (YAML.isSeq(node)) {
+    node.items.forEach((item, index) => recordPositions(item, value[index], lineCounter, positions))
+  }
+}
+
+// "goto sign_in" -> { action: 'goto', target: 'sign_in' }
+function parseOnFailure(value) {
+  if (value === undefined || value === null) {
+    return { action: 'abort' }
+  }
+  const match = String(value).trim().match(/^(abort|continue|goto)(?:\s+(\S+))?$/)
+  if (!match || (match[1] === 'goto') !== Boolean(match[2])) {
+    return null
+  }
+  return match[1] === 'goto' ? { action: 'goto', target: match[2] } : { action: match[1] }
+}
+
+// Loads a RASP script and expands it into a flat list of runnable steps:
+// includes are inlined, subroutines called, repeat blocks unrolled and
+// ${var} references interpolated. Shared by RaspRunner and RaspValidator.
+//
+//   params:
+//     vars: { downs: 3 }
+//   subroutines:
+//     open_sign_in:
+//       - repeat: { times: "${downs}", steps: [{ press: down }] }
+//   steps:
+//     - include: common.rasp
+//     - call: open_sign_in
+class RaspScript {
+  constructor(options = {}) {
+    this.cliVars = options.vars || {} // --rasp-var values override script vars
+    this.env = options.env || process.env
+    this.params = {}
+    this.vars = {}
+    this.subroutines = {} // name -> { steps, file }
+    this.files = new Map() // Resolved path -> loaded file
+    this.root = null
+    this.steps = [] // Expanded steps
+    this.locations = [] // Where each expanded step came from, e.g. "common.rasp step 2"
+    this.sources = [] // Source position of each expanded step: { file, line, column }
+    this.positions = new WeakMap() // Parsed object -> position in its file
+  }
+
+  static async load(scriptPath, options = {}) {
+    const script = new RaspScript(options)
+    await script.load(scriptPath)
+    return script
+  }
+
+  // ["downs=3", "channel=MyApp"] -> { downs: '3', channel: 'MyApp' }
+  static parseVars(list = []) {
+    const vars = {}
+    ;[].concat(list).forEach(entry => {
+      const match = String(entry).match(/^([A-Za-z_][\w.-]*)=(.*)$/)
+      if (!match) {
+        throw new Error(`Invalid RASP variable "${entry}" - use name=value`)
+      }
+      vars[match[1]] = match[2]
+    })
+    return vars
+  }
+
+  static parseStep(step) {
+    return parseStep(step)
+  }
+
+  static parseOnFailure(value) {
+    return parseOnFailure(value)
+  }
+
+  // { file, line, column } of a parsed object (or one of its keys), or null
+  positionOf(value, file, key = null) {
+    const position = value && typeof value === 'object' ? this.positions.get(value) : null
+    if (!position) {
+      return null
+    }
+    const { line, column } = (key && position.keys[key]) || position
+    return { file: file.name, line, column }
+  }
+
+  // Index of the first expanded step with this label, or -1
+  findLabel(label) {
+    return this.steps.findIndex(step => step && typeof step === 'object' && step.label === label)
+  }
+
+  async load(scriptPath) {
+    this.root = await this.loadFile(path.resolve(scriptPath), [], scriptPath)
+    if (!Array.isArray(this.root.steps)) {
+      throw new Error('RASP script must contain a "steps" array')
+    }
+
+    this.params = { ...this.root.params, channels: this.mergedChannels(), vars: this.vars }
+    this.expand(this.root.steps, { file: this.root, calls: [], prefix: '', label: 'Step' })
+    return this
+  }
+
+  async loadFile(filePath, stack, displayPath = this.displayPath(filePath)) {
+    if (stack.includes(filePath)) {
+      throw new Error(`Include cycle: ${stack.concat(filePath).map(file => this.displayPath(file)).join(' → ')}`)
+    }
+
+    let content
+    try {
+      content = await fs.readFile(filePath, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT' && stack.length > 0) {
+        throw new Error(`Included script not found: ${displayPath} (from ${this.displayPath(stack[stack.length - 1])})`)
+      }
+      throw error
+    }
+
+    const lineCounter = new YAML.LineCounter()
+    const document = YAML.parseDocument(content, { lineCounter })
+    if (document.errors.length > 0) {
+      throw document.errors[0]
+    }
+    const script = document.toJS()
+    if (!script || typeof script !== 'object') {
+      throw new Error(`${displayPath} is empty or not a YAML mapping`)
+    }
+
+    const file = {
+      path: filePath,
+      name: displayPath,
+      params: script.params || {},
+      steps: script.steps,
+      subroutines: script.subroutines || {}
+    }
+    this.files.set(filePath, file)
+    recordPositions(document.contents, script, lineCounter, this.positions)
+
+    // The including file is loaded first, so its definitions win over included ones
+    Object.entries(file.params.vars || {}).forEach(([name, value]) => {
+      if (!(name in this.vars)) {
+        this.vars[name] = value
+      }
+    })
+    Object.entries(file.subroutines).forEach(([name, steps]) => {
+      if (!Array.isArray(steps)) {
+        throw new Error(`Subroutine "${name}" in ${file.name} must be a list of steps`)
+      }
+      if (!(name in this.subroutines)) {
+        this.subroutines[name] = { steps, file }
+      }
+    })
+
+    const bodies = [file.steps || []].concat(Object.values(file.subroutines))
+    for (const include of bodies.flatMap(steps => this.findIncludes(steps))) {
+      const includePath = this.resolveInclude(include, file)
+      if (!this.files.has(includePath) || stack.concat(filePath).includes(includePath)) {
+        await this.loadFile(includePath, stack.concat(filePath), this.interpolate(include, file.name))
+      }
+    }
+    return file
+  }
+
+  // include: values anywhere in a step list, including inside repeat blocks
+  findIncludes(steps) {
+    if (!Array.isArray(steps)) {
+      return []
+    }
+    return steps.flatMap(step => {
+      if (!step || typeof step !== 'object') {
+        return []
+      }
+      if ('include' in step) {
+        return [step.include]
+      }
+      return step.repeat && typeof step.repeat === 'object' ? this.findIncludes(step.repeat.steps) : []
+    })
+  }
+
+  resolveInclude(include, file) {
+    return path.resolve(path.dirname(file.path), String(this.interpolate(include, file.name)))
+  }
+
+  mergedChannels() {
+    const channels = {}
+    ;[...this.files.values()].reverse().forEach(file => Object.assign(channels, file.params.channels || {}))
+    return channels
+  }
+
+  displayPath(filePath) {
+    return path.relative(process.cwd(), filePath) || filePath
+  }
+
+  expand(steps, context) {
+    steps.forEach((step, index) => {
+      const location = `${context.prefix}${context.label} ${index + 1}`
+      // include, call and repeat are resolved here; everything else is a runnable step
+      const type = step && typeof step === 'object' ? ['include', 'call', 'repeat'].find(key => key in step) : null
+
+      if (type && Object.keys(step).length > 1) {
+        throw new Error(`${location}: ${type} cannot be combined with other keys (${Object.keys(step).filter(key => key !== type).join(', ')})`)
+      }
+
+      if (type === 'include') {
+        const file = this.files.get(this.resolveInclude(step.include, context.file))
+        if (Array.isArray(file.steps)) {
+          this.expand(file.steps, { ...context, file, prefix: `${location} → `, label: `${file.name} step` })
+        }
+      } else if (type === 'call') {
+        const name = String(this.interpolate(step.call, location))
+        const subroutine = this.subroutines[name]
+        if (!subroutine) {
+          throw new Error(`${location}: unknown subroutine "${name}"${Object.keys(this.subroutines).length ? ` (defined: ${Object.keys(this.subroutines).join(', ')})` : ''}`)
+        }
+        if (context.calls.includes(name)) {
+          throw new Error(`${location}: subroutine "${name}" calls itself (${context.calls.concat(name).join(' → ')})`)
+        }
+        this.expand(subroutine.steps, { file: subroutine.file, calls: context.calls.concat(name), prefix: `${location} → `, label: `${name} step` })
+      } else if (type === 'repeat') {
+        const { times, steps: body } = this.repeatBlock(step.repeat, location)
+        for (let i = 0; i < times; i++) {
+          this.expand(body, { ...context, prefix: `${location} (repeat ${i + 1}/${times}) → `, label: 'step' })
+        }
+      } else {
+        if (this.steps.length >= MAX_STEPS) {
+          throw new Error(`Script expands to more than ${MAX_STEPS} steps - check repeat counts`)
+        }
+        this.steps.push(this.interpolate(step, location))
+        this.locations.push(location)
+        this.sources.push(this.positionOf(step, context.file))
+      }
+    })
+  }
+
+  repeatBlock(repeat, location) {
+    if (!repeat || typeof repeat !== 'object' || !Array.isArray(repeat.steps)) {
+      throw new Error(`${location}: repeat needs "times" and a "steps" list`)
+    }
+    const times = Number(this.interpolate(repeat.times, location))
+    if (!Number.isInteger(times) || times < 0) {
+      throw new Error(`${location}: repeat times must be a whole number, got "${repeat.times}"`)
+    }
+    return { times, steps: repeat.steps }
+  }
+
+  // ${name} from --rasp-var, then script vars; ${env.NAME} from the environment.
+  // A value that is exactly one reference keeps its type (repeat counts stay numbers).
+  interpolate(value, location) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolate(item, location))
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.interpolate(item, location)]))
+    }
+    if (typeof value !== 'string') {
+      return value
+    }
+
+    const whole = value.match(/^\$\{([\w.-]+)\}$/)
+    if (whole) {
+      return this.lookup(whole[1], location)
+    }
+    return value
+      .replace(/(?<!\$)\$\{([\w.-]+)\}/g, (_, name) => this.lookup(name, location))
+      .replace(/\$\$\{/g, '${')
+  }
+
+  lookup(name, location) {
+    if (name.startsWith('env.')) {
+      const value = this.env[name.slice(4)]
+      if (value === undefined) {
+        throw new Error(`${location}: environment variable ${name.slice(4)} is not set`)
+      }
+      return value
+    }
+    if (name in this.cliVars) {
+      return this.cliVars[name]
+    }
+    if (name in this.vars) {
+      return this.vars[name]
+    }
+    throw new Error(`${location}: undefined variable "\${${name}}" - define it under params.vars or pass --rasp-var ${name}=...`)
+  }
+}
+
+RaspScript.STEP_OPTIONS = STEP_OPTIONS
+
+module.exports = RaspScript
@@ -1,124 +1,192 @@
-const fs = require('fs').promises
-const YAML = require('yaml')
+const path = require('path')
+const RaspScript = require('./rasp-script')
+const RaspSchema = require('./rasp-schema')
+const Secrets = require('./secrets')
 
 class RaspValidator {
-  constructor() {
-    this.validStepTypes = ['launch', 'press', 'text', 'pause']
-    this.validKeys = [
-      'ok', 'up', 'down', 'left', 'right', 'home', 'back', 'replay', 'info',
-      'backspace', 'search', 'enter', 'select', 'play', 'rev', 'fwd'
-    ]
+  constructor(options = {}) {
+    this.vars = options.vars || {} // --rasp-var values, as the runner would get them
+    this.env = options.env || process.env
+    this.strict = Boolean(options.strict) // Warnings make the script invalid too
+    // Step types, wait fields and player states are shared with RaspRunner
+    this.validStepTypes = RaspSchema.STEP_TYPES
+    this.waitFields = RaspSchema.WAIT_STEPS
+    this.playerStates = RaspSchema.PLAYER_STATES
   }
 
   async validate(scriptPath) {
     const errors = []
+    const warnings = []
+    const diagnostics = [] // { severity, message, file, line, column }
+    const report = this.reporter(errors, warnings, diagnostics)
     let stepCount = 0
     let estimatedDuration = 0
+    let sourceStepCount = 0
+    let includes = []
 
     try {
-      // Load and parse script
-      const scriptContent = await fs.readFile(scriptPath, 'utf8')
-      const script = YAML.parse(scriptContent)
-
-      // Validate top-level structure
-      if (!script) {
-        errors.push('Script file is empty or invalid YAML')
-        return { valid: false, errors, stepCount, estimatedDuration }
+      // Load, resolve includes and expand calls/repeats/variables
+      const script = new RaspScript({ vars: this.vars, env: this.env })
+      try {
+        await script.load(scriptPath)
+      } finally {
+        includes = [...script.files.values()].slice(1).map(file => file.name)
       }
 
       // Validate params section
-      if (script.params) {
-        this.validateParams(script.params, errors)
+      if (script.root.params) {
+        this.validateParams(script.root.params, errors, {
+          warnings,
+          diagnostics,
+          positionOf: (key) => script.positionOf(script.root.params, script.root, key)
+        })
       }
 
-      // Validate steps section
-      if (!script.steps) {
-        errors.push('Script must contain a "steps" section')
-      } else if (!Array.isArray(script.steps)) {
-        errors.push('"steps" must be an array')
-      } else {
-        stepCount = script.steps.length
-        estimatedDuration = this.validateSteps(script.steps, errors, script.params)
-      }
+      // Step counts and durations are for the expanded script, as it will run
+      sourceStepCount = script.root.steps.length
+      stepCount = script.steps.length
+      estimatedDuration = this.validateSteps(script.steps, errors, {
+        params: script.params,
+        locations: script.locations,
+        sources: script.sources,
+        warnings,
+        diagnostics
+      })
+      this.validateGotoTargets(script, report)
+      await this.validateSecrets(script, scriptPath, report)
 
     } catch (error) {
       if (error.code === 'ENOENT') {
-        errors.push(`Script file not found: ${scriptPath}`)
+        report.error(`Script file not found: ${scriptPath}`)
+      } else if (error.name === 'YAMLParseError') {
+        const [position] = error.linePos || []
+        report.error(`Failed to parse YAML: ${error.message}`, position ? { file: scriptPath, line: position.line, column: position.col } : null)
       } else {
-        errors.push(`Failed to parse YAML: ${error.message}`)
+        report.error(error.message)
       }
     }
 
+    // Repeated and called steps report once
+    const seen = new Set()
+    const unique = diagnostics.filter(diagnostic => {
+      const key = `${diagnostic.severity}:${diagnostic.message}`
+      return seen.has(key) ? false : seen.add(key)
+    })
+
     return {
-      valid: errors.length === 0,
-      errors,
+      valid: errors.length === 0 && !(this.strict && warnings.length > 0),
+      errors: [...new Set(errors)],
+      warnings: [...new Set(warnings)],
+      diagnostics: unique,
+      strict: this.strict,
       stepCount,
+      sourceStepCount,
+      includes,
       estimatedDuration
     }
   }
 
-  validateParams(params, errors) {
+  // Adds messages to the plain errors/warnings lists, and a diagnostic with
+  // the source position (when known) for each
+  reporter(errors, warnings = [], diagnostics = []) {
+    const add = (severity, list) => (message, position = null) => {
+      list.push(message)
+      diagnostics.push({ severity, message, ...(position || {}) })
+    }
+    return { error: add('error', errors), warning: add('warning', warnings) }
+  }
+
+  validateParams(params, errors, options = {}) {
+    const report = this.reporter(errors, options.warnings, options.diagnostics)
+    const positionOf = options.positionOf || (() => null)
+
     // Validate rasp_version
     if (params.rasp_version && typeof params.rasp_version !== 'number') {
-      errors.push('rasp_version must be a number')
+      report.error('rasp_version must be a number', positionOf('rasp_version'))
     }
 
     // Validate default_keypress_wait
     if (params.default_keypress_wait && typeof params.default_keypress_wait !== 'number') {
-      errors.push('default_keypress_wait must be a number')
+      report.error('default_keypress_wait must be a number', positionOf('default_keypress_wait'))
     }
 
     // Validate channels mapping
     if (params.channels && typeof params.channels !== 'object') {
-      errors.push('channels must be an object')
+      report.error('channels must be an object', positionOf('channels'))
+    }
+
+    if (params.default_wait_timeout !== undefined && !(typeof params.default_wait_timeout === 'number' && params.default_wait_timeout > 0)) {
+      report.error('default_wait_timeout must be a positive number', positionOf('default_wait_timeout'))
+    }
+
+    try {
+      Secrets.normalize(params.secrets)
+    } catch (error) {
+      report.error(`secrets: ${error.message}`, positionOf('secrets'))
     }
   }
 
-  validateSteps(steps, errors, params = {}) {
-    let totalDuration = 0
+  // options.locations[i] labels step i in messages (e.g. "Step 2 → common.rasp step 1"),
+  // options.sources[i] is its { file, line, column }
+  validateSteps(steps, errors, options = {}) {
+    const { params = {}, locations = [], sources = [] } = options
+    const report = this.reporter(errors, options.warnings, options.diagnostics)
+    const channels = params.channels && typeof params.channels === 'object' ? params.channels : {}
     const defaultWait = params.default_keypress_wait || 1
+    let totalDuration = 0
 
     steps.forEach((step, index) => {
+      const label = locations[index] || `Step ${index + 1}`
+      const error = (message) => report.error(`${label}: ${message}`, sources[index])
+      const warning = (message) => report.warning(`${label}: ${message}`, sources[index])
+
       if (!step || typeof step !== 'object') {
-        errors.push(`Step ${index + 1}: Must be an object`)
+        error('Must be an object')
         return
       }
 
-      const stepKeys = Object.keys(step)
-      if (stepKeys.length !== 1) {
-        errors.push(`Step ${index + 1}: Must contain exactly one action`)
+      const { type: stepType, value: stepValue, options: stepOptions, actions } = RaspScript.parseStep(step)
+      if (actions.length !== 1) {
+        error('Must contain exactly one action')
         return
       }
 
-      const stepType = stepKeys[0]
-      const stepValue = step[stepType]
-
       if (!this.validStepTypes.includes(stepType)) {
-        errors.push(`Step ${index + 1}: Unknown step type "${stepType}"`)
+        error(`Unknown step type "${stepType}"`)
         return
       }
 
+      // An app that is neither mapped in params.channels nor a channel ID is probably a typo
+      const checkApp = (app) => {
+        if (app !== undefined && app !== null && typeof app !== 'object' && !(app in channels) && !RaspSchema.isChannelId(app)) {
+          warning(`"${app}" is not in params.channels and is not a channel ID`)
+        }
+      }
+
       // Validate step-specific requirements
       switch (stepType) {
         case 'launch':
-          if (!stepValue || typeof stepValue !== 'string') {
-            errors.push(`Step ${index + 1}: launch requires a string channel ID`)
+          if (!stepValue || (typeof stepValue !== 'string' && typeof stepValue !== 'number')) {
+            error('launch requires a string channel ID')
+          } else {
+            checkApp(stepValue)
           }
           totalDuration += 3 // App launch typically takes ~3 seconds
           break
 
         case 'press':
-          if (!stepValue || typeof stepValue !== 'string') {
-            errors.push(`Step ${index + 1}: press requires a string key name`)
-          } else if (!this.validKeys.includes(stepValue.toLowerCase()) && !stepValue.match(/^[A-Za-z0-9]$/)) {
-            errors.push(`Step ${index + 1}: "${stepValue}" is not a valid key`)
+          if (!stepValue || (typeof stepValue !== 'string' && typeof stepValue !== 'number')) {
+            error('press requires a string key name')
+          } else if (!RaspSchema.resolveKey(stepValue)) {
+            error(`"${stepValue}" is not a valid key`)
           }
           totalDuration += 0.1 // Keypress is nearly instantaneous
           break
 
         case 'text':
           if (!stepValue || typeof stepValue !== 'string') {
-            errors.push(`Step ${index + 1}: text requires a string value`)
+            error('text requires a string value')
+            break
           }
           totalDuration += stepValue.length * 0.05 // ~50ms per character
           break
@@ -126,13 +194,51 @@ class RaspValidator {
         case 'pause':
           const pauseSeconds = parseInt(stepValue)
           if (isNaN(pauseSeconds) || pauseSeconds < 0) {
-            errors.push(`Step ${index + 1}: pause requires a positive number of seconds`)
+            error('pause requires a positive number of seconds')
           } else {
             totalDuration += pauseSeconds
           }
           break
+
+        case 'screenshot':
+          if (!stepValue || (typeof stepValue !== 'string' && typeof stepValue !== 'number')) {
+            error('screenshot requires a name')
+          }
+          totalDuration += 2 // Capture and download through the developer installer
+          break
+
+        case 'wait_for_log':
+        case 'wait_for_beacon':
+        case 'wait_for_active_app':
+        case 'wait_for_player_state':
+          this.validateWaitStep(stepType, stepValue, error)
+          if (stepType === 'wait_for_active_app') {
+            checkApp(stepValue && typeof stepValue === 'object' ? stepValue.app : stepValue)
+          }
+          totalDuration += 3 // Conditions usually hold within a few seconds; the timeout is the upper bound
+          break
+
+        case 'assert_log':
+        case 'assert_not_log':
+          if (!stepValue || typeof stepValue !== 'string') {
+            error(`${stepType} requires a pattern`)
+          } else {
+            this.validatePattern(stepType, stepValue, error)
+          }
+          break
+
+        case 'assert_active_app':
+          if (!stepValue || (typeof stepValue !== 'string' && typeof stepValue !== 'number')) {
+            error('assert_active_app requires an app ID or channel name')
+          } else {
+            checkApp(stepValue)
+          }
+          totalDuration += 0.1 // One ECP query
+          break
       }
 
+      this.validateStepOptions(stepOptions, error)
+
       // Add default wait time between steps
       if (index < steps.length - 1) {
         totalDuration += defaultWait
@@ -141,6 +247,107 @@ class RaspValidator {
 
     return Math.ceil(totalDuration)
   }
+
+  validateWaitStep(stepType, stepValue, error) {
+    const field = this.waitFields[stepType]
+    const isObject = stepValue && typeof stepValue === 'object' && !Array.isArray(stepValue)
+    const value = isObject ? stepValue[field] : stepValue
+
+    if (value === undefined || value === null || value === '' || typeof value === 'object') {
+      error(isObject
+        ? `${stepType} requires a "${field}" value`
+        : `${stepType} requires a ${field}`)
+      return
+    }
+
+    if (isObject) {
+      const unknown = Object.keys(stepValue).filter(key => key !== field && key !== 'timeout')
+      if (unknown.length > 0) {
+        error(`unknown ${stepType} option "${unknown[0]}" (use ${field} and timeout)`)
+      }
+      if (stepValue.timeout !== undefined && !(typeof stepValue.timeout === 'number' && stepValue.timeout > 0)) {
+        error('timeout must be a positive number of seconds')
+      }
+    }
+
+    if (stepType === 'wait_for_log') {
+      this.validatePattern(stepType, value, error)
+    }
+
+    if (stepType === 'wait_for_player_state' && !this.playerStates.includes(String(value))) {
+      error(`"${value}" is not a player state (${this.playerStates.join(', ')})`)
+    }
+  }
+
+  validatePattern(stepType, value, error) {
+    const match = String(value).match(/^\/(.+)\/([a-z]*)$/)
+    try {
+      match ? new RegExp(match[1], match[2]) : new RegExp(value)
+    } catch (err) {
+      error(`invalid ${stepType} pattern: ${err.message}`)
+    }
+  }
+
+  // label, timeout, retries and on_failure next to the action
+  validateStepOptions(options, error) {
+    if (options.label !== undefined && (typeof options.label !== 'string' || !/^\S+$/.test(options.label))) {
+      error('label must be a single word')
+    }
+    if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout > 0)) {
+      error('timeout must be a positive number of seconds')
+    }
+    if (options.retries !== undefined && !(Number.isInteger(options.retries) && options.retries >= 0)) {
+      error('retries must be a whole number')
+    }
+    if (options.on_failure !== undefined && !RaspScript.parseOnFailure(options.on_failure)) {
+      error(`on_failure must be abort, continue or "goto <label>", got "${options.on_failure}"`)
+    }
+  }
+
+  // Warn about script-* placeholders the secrets providers can't resolve.
+  // Command providers are not run; their secrets are assumed to exist.
+  async validateSecrets(script, scriptPath, report) {
+    let secrets
+    try {
+      secrets = new Secrets({ env: this.env }).configure(script.params.secrets, { baseDir: path.dirname(path.resolve(scriptPath)) })
+    } catch (error) {
+      return // Reported by validateParams
+    }
+
+    const checked = new Map()
+    for (let index = 0; index < script.steps.length; index++) {
+      const step = script.steps[index]
+      const name = step && typeof step.text === 'string' ? RaspSchema.placeholderName(step.text) : null
+      if (!name) {
+        continue
+      }
+      if (!checked.has(name)) {
+        checked.set(name, await secrets.find(name, { runCommands: false }).catch(error => ({ error })))
+      }
+
+      const { value, tried, error } = checked.get(name)
+      const warning = (message) => report.warning(`${script.locations[index]}: ${message}`, script.sources[index])
+      if (error) {
+        warning(`${step.text} can't be resolved: ${error.message}`)
+      } else if (value === undefined && secrets.providers.length === 1 && secrets.providers[0].provider === 'env') {
+        warning(`${step.text} reads ${RaspSchema.placeholderVariable(step.text)}, which is not set`)
+      } else if (value === undefined) {
+        warning(`${step.text} is not in any secrets provider (tried ${tried.join(', ')})`)
+      }
+    }
+  }
+
+  validateGotoTargets(script, report) {
+    script.steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') {
+        return
+      }
+      const onFailure = RaspScript.parseOnFailure(step.on_failure)
+      if (onFailure && onFailure.action === 'goto' && script.findLabel(onFailure.target) < 0) {
+        report.error(`${script.locations[index]}: on_failure goes to "${onFailure.target}", but no step has that label`, script.sources[index])
+      }
+    })
+  }
 }
 
-module.exports = RaspValidator
\ No newline at end of file
+module.exports = RaspValidator
@@ -0,0 +1,57 @@
+const RESET_MODES = ['none', 'home', 'relaunch']
+
+class RetryPolicy {
+  constructor({ maxAttempts = 1, delay = 2000, backoff = 2, reset = 'none' } = {}) {
+    this.maxAttempts = Math.max(1, parseInt(maxAttempts) || 1)
+    this.delay = Math.max(0, parseInt(delay) || 0)
+    this.backoff = Math.max(1, parseFloat(backoff) || 1)
+    this.reset = reset
+
+    if (!RESET_MODES.includes(this.reset)) {
+      throw new Error(`Invalid retry reset mode "${reset}". Use one of: ${RESET_MODES.join(', ')}`)
+    }
+  }
+
+  // Build a policy from CLI/programmatic options.
+  // --retry on its own keeps the original meaning of "retry failed tests once".
+  static fromOptions(options = {}) {
+    let maxAttempts = 1
+    if (options.retry === true) {
+      maxAttempts = 2
+    } else if (options.retry) {
+      maxAttempts = parseInt(options.retry)
+      if (isNaN(maxAttempts) || maxAttempts < 1) {
+        throw new Error(`Invalid retry attempt count "${options.retry}"`)
+      }
+    }
+
+    return new RetryPolicy({
+      maxAttempts,
+      delay: options.retryDelay !== undefined ? options.retryDelay : 2000,
+      backoff: options.retryBackoff !== undefined ? options.retryBackoff : 2,
+      reset: options.retryReset || 'none'
+    })
+  }
+
+  get enabled() {
+    return this.maxAttempts > 1
+  }
+
+  // Delay before the given retry (1 = first retry), growing by the backoff factor
+  delayFor(retryNumber) {
+    return Math.round(this.delay * Math.pow(this.backoff, retryNumber - 1))
+  }
+
+  toJSON() {
+    return {
+      maxAttempts: this.maxAttempts,
+      delay: this.delay,
+      backoff: this.backoff,
+      reset: this.reset
+    }
+  }
+}
+
+RetryPolicy.RESET_MODES = RESET_MODES
+
+module.exports = RetryPolicy
@@ -0,0 +1,46 @@
+const fs = require('fs').promises
+const path = require('path')
+
+// "Deep Link Launch Test - failure" -> "deep-link-launch-test-failure"
+const slugify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'screenshot'
+
+// Saves device screenshots into an artifacts directory. Captures never throw:
+// a missing screenshot must not change a test verdict, so failures are
+// returned as { name, error } entries instead.
+class ScreenshotRecorder {
+  constructor(installer, options = {}) {
+    this.installer = installer
+    this.dir = options.dir || 'artifacts'
+    this.log = options.log || (() => {})
+    this.captured = [] // { name, path, takenAt } or { name, error, takenAt }
+  }
+
+  static slugify(name) {
+    return slugify(name)
+  }
+
+  async capture(name) {
+    const takenAt = new Date().toISOString()
+    let entry
+
+    try {
+      const { data, extension } = await this.installer.screenshot()
+      // Sequence numbers keep files in capture order and names unique
+      const sequence = String(this.captured.length + 1).padStart(3, '0')
+      const filePath = path.join(this.dir, `${sequence}-${slugify(name)}.${extension}`)
+
+      await fs.mkdir(this.dir, { recursive: true })
+      await fs.writeFile(filePath, data)
+      entry = { name, path: filePath, takenAt }
+      this.log(`Screenshot saved: ${filePath}`)
+    } catch (error) {
+      entry = { name, error: error.message, takenAt }
+      this.log(`Screenshot "${name}" failed: ${error.message}`)
+    }
+
+    this.captured.push(entry)
+    return entry
+  }
+}
+
+module.exports = ScreenshotRecorder
@@ -0,0 +1,223 @@
+const fs = require('fs').promises
+const path = require('path')
+const { exec } = require('child_process')
+
+const MASK = '****'
+
+// KEY=value lines of a .env file ("export", quotes and # comments allowed)
+function parseDotenv(content) {
+  const values = {}
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/)
+    if (!match) {
+      return
+    }
+    let value = match[2]
+    const quoted = value.match(/^(['"])(.*)\1$/)
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, '\n') : quoted[2]
+    } else {
+      value = value.replace(/\s+#.*$/, '')
+    }
+    values[match[1]] = value
+  })
+  return values
+}
+
+// Where script-<name> placeholders are read from. Each provider returns the
+// value, or undefined when it doesn't have one.
+const PROVIDERS = {
+  // RASP_LOGIN for script-login
+  env: {
+    describe: (config, name) => `environment variable ${variableName(config, name)}`,
+    read: async (config, name, secrets) => secrets.env[variableName(config, name)]
+  },
+  // The same RASP_LOGIN=... names, from a .env file
+  dotenv: {
+    fields: ['file'],
+    describe: (config, name) => `${variableName(config, name)} in ${config.file}`,
+    read: async (config, name, secrets) => {
+      const values = parseDotenv(await secrets.readFile(config.file))
+      return values[variableName(config, name)]
+    }
+  },
+  // { "login": "...", "password": "..." }
+  json: {
+    fields: ['file'],
+    describe: (config, name) => `"${name}" in ${config.file}`,
+    read: async (config, name, secrets) => {
+      let values
+      try {
+        values = JSON.parse(await secrets.readFile(config.file))
+      } catch (error) {
+        throw new Error(`Secrets file ${config.file} is not valid JSON: ${error.message}`)
+      }
+      const value = values[name]
+      return value === undefined || value === null ? undefined : String(value)
+    }
+  },
+  // Any command that prints the secret, e.g. "op read op://Roku/{name}/password".
+  // {name} is replaced and $RASP_SECRET_NAME is set; stdout without its trailing newline is the value.
+  command: {
+    fields: ['command'],
+    describe: (config, name) => `command "${config.command.replace(/\{name\}/g, name)}"`,
+    read: (config, name, secrets) => secrets.runCommand(config, name)
+  }
+}
+
+function variableName(config, name) {
+  return `${config.prefix || 'RASP_'}${name.toUpperCase().replace(/-/g, '_')}`
+}
+
+// Resolves secrets for script-* placeholders and redacts every resolved value
+// from whatever the tool writes: console lines, session logs, results and reports.
+class Secrets {
+  constructor(options = {}) {
+    this.env = options.env || process.env
+    this.baseDir = options.baseDir || process.cwd() // Secret files are relative to the script
+    this.timeout = options.timeout || 10000 // For command providers
+    this.providers = [{ provider: 'env' }]
+    this.values = new Set()
+    this.files = new Map() // Path -> contents, read once per run
+  }
+
+  static parseDotenv(content) {
+    return parseDotenv(content)
+  }
+
+  // params.secrets: one provider or a list tried in order, e.g.
+  //   secrets: { provider: dotenv, file: ./.env.roku }
+  static normalize(config) {
+    if (config === undefined || config === null) {
+      return [{ provider: 'env' }]
+    }
+    const providers = [].concat(config).map(entry => typeof entry === 'string' ? { provider: entry } : entry)
+    providers.forEach(entry => {
+      if (!entry || typeof entry !== 'object' || !PROVIDERS[entry.provider]) {
+        throw new Error(`Unknown secrets provider "${entry && typeof entry === 'object' ? entry.provider : entry}" (use ${Object.keys(PROVIDERS).join(', ')})`)
+      }
+      const missing = (PROVIDERS[entry.provider].fields || []).find(field => !entry[field] || typeof entry[field] !== 'string')
+      if (missing) {
+        throw new Error(`Secrets provider "${entry.provider}" needs a "${missing}" value`)
+      }
+    })
+    return providers
+  }
+
+  configure(config, options = {}) {
+    this.providers = Secrets.normalize(config)
+    if (options.baseDir) {
+      this.baseDir = options.baseDir
+    }
+    return this
+  }
+
+  // { value, source } for script-<name>; throws naming every place that was tried
+  async resolve(name) {
+    const { value, source, tried } = await this.find(name)
+    if (value === undefined) {
+      if (this.providers.length === 1 && this.providers[0].provider === 'env') {
+        const envVarName = variableName(this.providers[0], name)
+        throw new Error(`Required environment variable not set: ${envVarName}. Set it with: export ${envVarName}="your-value"`)
+      }
+      throw new Error(`Secret "${name}" not found (tried ${tried.join(', ')})`)
+    }
+    this.register(value)
+    return { value, source }
+  }
+
+  // { value, source, tried }. runCommands: false skips command providers (validation).
+  async find(name, options = {}) {
+    const runCommands = options.runCommands !== false
+    const tried = []
+    for (const config of this.providers) {
+      const provider = PROVIDERS[config.provider]
+      if (config.provider === 'command' && !runCommands) {
+        return { value: null, source: provider.describe(config, name), tried }
+      }
+      tried.push(provider.describe(config, name))
+      const value = await provider.read(config, name, this)
+      if (value !== undefined && value !== '') {
+        return { value, source: tried[tried.length - 1], tried }
+      }
+    }
+    return { value: undefined, source: null, tried }
+  }
+
+  async readFile(file) {
+    const filePath = path.resolve(this.baseDir, file)
+    if (!this.files.has(filePath)) {
+      try {
+        this.files.set(filePath, await fs.readFile(filePath, 'utf8'))
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`Secrets file not found: ${file}`)
+        }
+        throw error
+      }
+    }
+    return this.files.get(filePath)
+  }
+
+  runCommand(config, name) {
+    // The name ends up in a shell command line
+    if (!/^[\w-]+$/.test(name)) {
+      return Promise.reject(new Error(`Secret name "${name}" can only contain letters, digits, _ and -`))
+    }
+    const command = config.command.replace(/\{name\}/g, name)
+    return new Promise((resolve, reject) => {
+      exec(command, {
+        cwd: this.baseDir,
+        timeout: this.timeout,
+        env: { ...this.env, RASP_SECRET_NAME: name }
+      }, (error, stdout, stderr) => {
+        if (error) {
+          // stderr may echo the secret back; only the exit status is reported
+          reject(new Error(`Secrets command for "${name}" failed (${error.killed ? `timed out after ${this.timeout / 1000}s` : `exit code ${error.code}`})`))
+          return
+        }
+        resolve(stdout.replace(/\r?\n$/, ''))
+      })
+    })
+  }
+
+  // Every value is redacted, however short: a 2-digit PIN is still a secret,
+  // even if masking it also masks unrelated digits in the output
+  register(value) {
+    if (typeof value === 'string' && value.length > 0) {
+      this.values.add(value)
+    }
+  }
+
+  redact(text) {
+    if (typeof text !== 'string' || this.values.size === 0) {
+      return text
+    }
+    // Longest first, so a secret containing another is masked whole
+    return [...this.values]
+      .sort((a, b) => b.length - a.length)
+      .reduce((result, value) => result.split(value).join(MASK), text)
+  }
+
+  // Copy of a results object with every string redacted
+  redactObject(value) {
+    if (this.values.size === 0) {
+      return value
+    }
+    if (typeof value === 'string') {
+      return this.redact(value)
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactObject(item))
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactObject(item)]))
+    }
+    return value
+  }
+}
+
+Secrets.PROVIDERS = Object.keys(PROVIDERS)
+Secrets.MASK = MASK
+
+module.exports = Secrets
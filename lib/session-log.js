@@ -0,0 +1,94 @@
+const fs = require('fs')
+const path = require('path')
+
+// Writes the full debug console transcript of a run to disk, interleaved with
+// markers for test boundaries and ECP commands so failures can be traced later.
+class SessionLog {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath
+    this.stream = null
+    this.error = null
+    // Masks secrets in every line before it reaches the file
+    this.redact = options.redact || (text => text)
+    this.onError = options.onError || (error => console.error(`Session log disabled: ${error.message}`))
+  }
+
+  open(header = {}) {
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true })
+    } catch (error) {
+      this.fail(error)
+      return this
+    }
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'w' })
+    // An unwritable file (a directory, no permission) turns logging off instead of crashing the run
+    this.stream.on('error', error => this.fail(error))
+
+    this.marker('SESSION START')
+    Object.entries(header).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        this.write(`# ${key}: ${value}`)
+      }
+    })
+    return this
+  }
+
+  fail(error) {
+    if (this.error) {
+      return
+    }
+    this.error = error
+    this.stream = null
+    this.onError(error)
+  }
+
+  write(text, timestamp = new Date()) {
+    if (!this.stream) {
+      return
+    }
+    const time = timestamp instanceof Date ? timestamp.toISOString() : timestamp
+    this.stream.write(`[${time}] ${this.redact(text)}\n`)
+  }
+
+  line(text, timestamp) {
+    this.write(`    ${text}`, timestamp)
+  }
+
+  marker(text) {
+    this.write(`===== ${text} =====`)
+  }
+
+  command(description) {
+    this.write(`>>> ${description}`)
+  }
+
+  testStart(testName, details = '') {
+    this.marker(`TEST START: ${testName}${details ? ` (${details})` : ''}`)
+  }
+
+  testEnd(testName, result) {
+    const status = result.passed ? 'PASSED' : 'FAILED'
+    const duration = result.duration !== undefined ? ` in ${result.duration}ms` : ''
+    const error = result.error ? ` - ${result.error}` : ''
+    this.marker(`TEST END: ${testName} ${status}${duration}${error}`)
+  }
+
+  close() {
+    if (!this.stream) {
+      return Promise.resolve()
+    }
+
+    this.marker('SESSION END')
+    const stream = this.stream
+    this.stream = null
+    // Node 14 never calls end's callback on a failed stream, so settle on either
+    // event; fail() has already reported the error
+    return new Promise(resolve => {
+      stream.once('finish', resolve)
+      stream.once('error', () => resolve())
+      stream.end()
+    })
+  }
+}
+
+module.exports = SessionLog
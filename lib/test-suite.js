@@ -0,0 +1,73 @@
+const fs = require('fs').promises
+const path = require('path')
+const YAML = require('yaml')
+
+class TestSuite {
+  // overrides: app and wait given on the command line. A case's own values win,
+  // then the overrides, then the manifest defaults.
+  constructor(manifest, suitePath = null, overrides = {}) {
+    this.suitePath = suitePath
+    this.name = manifest.name || (suitePath ? path.basename(suitePath, path.extname(suitePath)) : 'suite')
+    this.defaults = manifest.defaults || {}
+    this.overrides = overrides
+    this.mediaTypes = manifest.mediaTypes || null // Media type profile overrides for this suite
+    this.cases = this.normalizeCases(manifest.cases)
+  }
+
+  // Load a suite manifest from disk (YAML or JSON - YAML is a superset of JSON)
+  static async load(suitePath, overrides = {}) {
+    let manifest
+    try {
+      const content = await fs.readFile(suitePath, 'utf8')
+      manifest = YAML.parse(content)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Suite file not found: ${suitePath}`)
+      }
+      throw new Error(`Failed to parse suite file: ${error.message}`)
+    }
+
+    if (!manifest || typeof manifest !== 'object') {
+      throw new Error('Suite file is empty or invalid')
+    }
+
+    return new TestSuite(manifest, suitePath, overrides)
+  }
+
+  normalizeCases(cases) {
+    if (!Array.isArray(cases) || cases.length === 0) {
+      throw new Error('Suite must contain a non-empty "cases" array')
+    }
+
+    return cases.map((testCase, index) => {
+      if (!testCase || typeof testCase !== 'object') {
+        throw new Error(`Case ${index + 1}: Must be an object`)
+      }
+
+      const merged = { ...this.defaults, ...this.overrides, ...testCase }
+      const content = merged.content ?? merged.contentId
+      const type = merged.type ?? merged.mediaType
+
+      if (content === undefined || content === null || content === '') {
+        throw new Error(`Case ${index + 1}: content is required`)
+      }
+      if (!type) {
+        throw new Error(`Case ${index + 1}: type is required`)
+      }
+
+      // expectBeacons may be given as a single name or a list
+      const beacons = merged.expectBeacons ?? merged.expectBeacon ?? []
+
+      return {
+        name: merged.name || `${type} ${content}`,
+        app: merged.app !== undefined ? String(merged.app) : undefined,
+        content: String(content),
+        type: String(type),
+        wait: merged.wait,
+        expectBeacons: Array.isArray(beacons) ? beacons.map(String) : [String(beacons)]
+      }
+    })
+  }
+}
+
+module.exports = TestSuite
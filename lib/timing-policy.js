@@ -0,0 +1,113 @@
+const TIMING_MODES = ['warn', 'fail']
+
+// Certification requirements that can be tuned from the CLI, by the
+// requirement number the beacon registry gives each timed beacon
+const THRESHOLDS = {
+  launch: { requirement: '3.2', label: 'App launch' },
+  videoStart: { requirement: '3.6', label: 'Video start' }
+}
+
+// Turns beacon timings into named pass/fail checks: one per certification
+// requirement (15s launch, 8s video start) and one per internal budget.
+// In "fail" mode a failed check fails the test; in "warn" mode it is only reported.
+class TimingPolicy {
+  constructor({ mode = 'fail', limits = {}, budgets = {} } = {}) {
+    this.mode = mode
+    this.limits = limits // launch/videoStart -> ms, replacing the certification limit
+    this.budgets = budgets // launch/videoStart -> ms, checked in addition to the limit
+
+    if (!TIMING_MODES.includes(this.mode)) {
+      throw new Error(`Invalid timing mode "${mode}". Use one of: ${TIMING_MODES.join(', ')}`)
+    }
+  }
+
+  // --launch-limit/--video-start-limit and --launch-budget/--video-start-budget are in seconds
+  static fromOptions(options = {}) {
+    const seconds = (value, flag) => {
+      if (value === undefined || value === null) {
+        return undefined
+      }
+      const parsed = parseFloat(value)
+      if (isNaN(parsed) || parsed <= 0) {
+        throw new Error(`Invalid ${flag} "${value}" - use a number of seconds`)
+      }
+      return Math.round(parsed * 1000)
+    }
+    const pick = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined))
+
+    return new TimingPolicy({
+      mode: options.timingMode || 'fail',
+      limits: pick({
+        launch: seconds(options.launchLimit, '--launch-limit'),
+        videoStart: seconds(options.videoStartLimit, '--video-start-limit')
+      }),
+      budgets: pick({
+        launch: seconds(options.launchBudget, '--launch-budget'),
+        videoStart: seconds(options.videoStartBudget, '--video-start-budget')
+      })
+    })
+  }
+
+  get failsTests() {
+    return this.mode === 'fail'
+  }
+
+  // Checks for every timed beacon that reported a value:
+  //   { id: '3.2', name, beacon, kind: 'certification', limit, actual, passed }
+  //   { id: 'budget.launch', name, beacon, kind: 'budget', limit, actual, passed }
+  evaluate(registry, timings = {}) {
+    const checks = []
+
+    registry.list().forEach(definition => {
+      const actual = timings[definition.name]
+      if (!definition.limit || actual === undefined || actual === null) {
+        return
+      }
+
+      const key = Object.keys(THRESHOLDS).find(name => THRESHOLDS[name].requirement === definition.requirement)
+      const limit = key && this.limits[key] !== undefined ? this.limits[key] : definition.limit
+      checks.push({
+        id: definition.requirement || definition.name,
+        name: definition.label,
+        beacon: definition.name,
+        kind: 'certification',
+        limit,
+        actual,
+        passed: actual <= limit
+      })
+
+      if (key && this.budgets[key] !== undefined) {
+        checks.push({
+          id: `budget.${key}`,
+          name: `${definition.label} budget`,
+          beacon: definition.name,
+          kind: 'budget',
+          limit: this.budgets[key],
+          actual,
+          passed: actual <= this.budgets[key]
+        })
+      }
+    })
+
+    return checks
+  }
+
+  // "Req 3.2 App Launch took 16.2s (limit 15s)"
+  static describeFailure(check) {
+    const id = check.kind === 'budget' ? check.name : `Req ${check.id} ${check.name}`
+    return `${id} took ${(check.actual / 1000).toFixed(1)}s (limit ${check.limit / 1000}s)`
+  }
+
+  toJSON() {
+    return {
+      mode: this.mode,
+      limits: this.limits,
+      budgets: this.budgets
+    }
+  }
+}
+
+TimingPolicy.TIMING_MODES = TIMING_MODES
+TimingPolicy.THRESHOLDS = THRESHOLDS
+
+module.exports = TimingPolicy
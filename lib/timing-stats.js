@@ -0,0 +1,101 @@
+// Percentile with linear interpolation between the closest ranks, so the
+// median of [1, 2, 3, 4] is 2.5 and p100 is the maximum
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null
+  }
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+// { count, min, median, p95, max, mean, stddev } in whole milliseconds
+// (stddev is the sample standard deviation, 0 for a single run)
+function summarize(values) {
+  const sorted = values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b)
+  if (sorted.length === 0) {
+    return null
+  }
+
+  const mean = sorted.reduce((total, value) => total + value, 0) / sorted.length
+  const variance = sorted.length > 1
+    ? sorted.reduce((total, value) => total + Math.pow(value - mean, 2), 0) / (sorted.length - 1)
+    : 0
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: Math.round(percentile(sorted, 50)),
+    p95: Math.round(percentile(sorted, 95)),
+    max: sorted[sorted.length - 1],
+    mean: Math.round(mean),
+    stddev: Math.round(Math.sqrt(variance))
+  }
+}
+
+// Timing distributions over repeated runs of the same deep link tests.
+// The certification verdict is taken at a percentile of each timing rather
+// than from any single run.
+class TimingStats {
+  constructor(registry, timingPolicy, options = {}) {
+    this.registry = registry
+    this.timingPolicy = timingPolicy
+    this.percentile = options.percentile !== undefined ? parseFloat(options.percentile) : 95
+
+    if (isNaN(this.percentile) || this.percentile <= 0 || this.percentile > 100) {
+      throw new Error(`Invalid percentile "${options.percentile}". Use a number from 1 to 100`)
+    }
+  }
+
+  static percentile(values, p) {
+    return percentile([...values].sort((a, b) => a - b), p)
+  }
+
+  static summarize(values) {
+    return summarize(values)
+  }
+
+  // One entry per test name (launch, input) across every iteration:
+  //   { testName, runs, passed, passRate, timings: { AppLaunchComplete: { label, field, count, min, ... } }, checks }
+  summarizeTests(tests) {
+    const names = [...new Set(tests.map(test => test.testName))]
+
+    return names.map(testName => {
+      const runs = tests.filter(test => test.testName === testName)
+      const passed = runs.filter(test => test.passed).length
+      const timings = {}
+      const atPercentile = {}
+
+      this.registry.list().forEach(definition => {
+        const values = runs
+          .map(test => (test.beaconTimings || {})[definition.name])
+          .filter(value => value !== undefined && value !== null)
+        const stats = summarize(values)
+        if (!stats) {
+          return
+        }
+        timings[definition.name] = { label: definition.label, field: definition.primaryTiming, ...stats }
+        atPercentile[definition.name] = Math.round(TimingStats.percentile(values, this.percentile))
+      })
+
+      // The same checks as a single run, judged at the chosen percentile
+      const checks = this.timingPolicy.evaluate(this.registry, atPercentile).map(check => ({
+        ...check,
+        percentile: this.percentile,
+        samples: timings[check.beacon].count
+      }))
+
+      return {
+        testName,
+        runs: runs.length,
+        passed,
+        passRate: passed / runs.length,
+        timings,
+        checks
+      }
+    })
+  }
+}
+
+module.exports = TimingStats
@@ -1,8 +1,53 @@
 const RokuDeepLinkTester = require('../index')
 const RaspValidator = require('../lib/rasp-validator')
+const MockRokuDevice = require('../lib/mock-device')
 const fs = require('fs').promises
 const path = require('path')
 
+// A mock Roku device for the tests of a describe block, stopped after each test:
+//   const mock = withMockDevice()
+//   const device = await mock.start({ scenario: 'vod' })
+//   const results = await mock.createTester({ launchOnly: true }).runTests()
+function withMockDevice() {
+  const mock = {
+    device: null,
+
+    async start(options = {}) {
+      mock.device = await new MockRokuDevice(options).start()
+      return mock.device
+    },
+
+    async stop() {
+      if (mock.device) {
+        await mock.device.stop()
+        mock.device = null
+      }
+    },
+
+    // A tester pointed at the mock, with short waits. The mock answers right
+    // away, so the settle pauses meant for real devices are skipped.
+    createTester(options = {}) {
+      const tester = new RokuDeepLinkTester({
+        ip: '127.0.0.1',
+        ecpPort: mock.device.ecpPort,
+        telnetPort: mock.device.telnetPort,
+        installerPort: mock.device.installerPort,
+        app: 'dev',
+        content: '1234',
+        type: 'movie',
+        wait: '3',
+        noBanner: true,
+        ...options
+      })
+      tester.settle = () => Promise.resolve()
+      return tester
+    }
+  }
+
+  afterEach(() => mock.stop())
+  return mock
+}
+
 describe('Roku Deep Link Tester', () => {
   describe('Package Exports', () => {
     test('should export main class', () => {
@@ -268,6 +313,2435 @@ steps:
       })
     })
   })
+
+  describe('Test Suites', () => {
+    const TestSuite = require('../lib/test-suite')
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    test('should load suite manifest and apply defaults', async () => {
+      const manifest = `
+name: smoke
+defaults:
+  app: dev
+  wait: 15
+cases:
+  - content: 1234
+    type: movie
+  - name: Published episode
+    app: 151908
+    content: 5678
+    type: episode
+    expectBeacons: [AppDialogInitiate]
+      `.trim()
+
+      await fs.mkdir(tempDir, { recursive: true })
+      const suitePath = path.join(tempDir, 'suite.yaml')
+      await fs.writeFile(suitePath, manifest)
+
+      const suite = await TestSuite.load(suitePath)
+
+      expect(suite.name).toBe('smoke')
+      expect(suite.cases).toHaveLength(2)
+      expect(suite.cases[0]).toMatchObject({ name: 'movie 1234', app: 'dev', content: '1234', wait: 15 })
+      expect(suite.cases[1]).toMatchObject({ app: '151908', type: 'episode', expectBeacons: ['AppDialogInitiate'] })
+    })
+
+    test('should reject cases without content or type', () => {
+      expect(() => new TestSuite({ cases: [{ type: 'movie' }] })).toThrow('Case 1: content is required')
+      expect(() => new TestSuite({ cases: [{ content: '1' }] })).toThrow('Case 1: type is required')
+      expect(() => new TestSuite({ cases: [] })).toThrow('non-empty "cases" array')
+    })
+
+    test('should let command line flags override the defaults but not the cases', () => {
+      const manifest = {
+        defaults: { app: 'dev', wait: 30 },
+        cases: [
+          { content: '1', type: 'movie' },
+          { content: '2', type: 'movie', app: '151908', wait: 10 }
+        ]
+      }
+
+      const suite = new TestSuite(manifest, null, { wait: '3' })
+
+      expect(suite.cases[0]).toMatchObject({ app: 'dev', wait: '3' })
+      expect(suite.cases[1]).toMatchObject({ app: '151908', wait: 10 })
+      expect(new TestSuite(manifest).cases[0].wait).toBe(30)
+    })
+
+    test('should combine case results into one result object', () => {
+      const tester = new RokuDeepLinkTester({ ip: '192.168.1.114', app: 'dev', wait: '30' })
+      const suite = new TestSuite({
+        name: 'smoke',
+        cases: [
+          { content: '1', type: 'movie' },
+          { content: '2', type: 'series' }
+        ]
+      })
+
+      const caseResults = suite.cases.map((testCase, index) => {
+        tester.useCase(testCase)
+        tester.testResults = [
+          { testName: 'Deep Link Launch Test', command: 'launch', passed: index === 0 }
+        ]
+        return { name: testCase.name, ...tester.formatResults() }
+      })
+
+      const results = tester.formatSuiteResults(suite, caseResults)
+
+      expect(results.success).toBe(false)
+      expect(results.totalCases).toBe(2)
+      expect(results.passedCases).toBe(1)
+      expect(results.totalTests).toBe(2)
+      expect(results.tests[1].caseName).toBe('series 2')
+      expect(results.cases[1].configuration.contentId).toBe('2')
+    })
+  })
+
+  describe('Retry Policy', () => {
+    const RetryPolicy = require('../lib/retry-policy')
+
+    test('should keep --retry as a single retry', () => {
+      expect(RetryPolicy.fromOptions({}).maxAttempts).toBe(1)
+      expect(RetryPolicy.fromOptions({ retry: true }).maxAttempts).toBe(2)
+      expect(RetryPolicy.fromOptions({ retry: '4' }).maxAttempts).toBe(4)
+    })
+
+    test('should grow delay by backoff factor', () => {
+      const policy = new RetryPolicy({ maxAttempts: 3, delay: 1000, backoff: 2 })
+      expect(policy.delayFor(1)).toBe(1000)
+      expect(policy.delayFor(2)).toBe(2000)
+    })
+
+    test('should reject unknown reset modes', () => {
+      expect(() => RetryPolicy.fromOptions({ retry: true, retryReset: 'reboot' })).toThrow('Invalid retry reset mode')
+    })
+
+    test('should record attempts and mark tests that pass on retry as flaky', async () => {
+      const tester = new RokuDeepLinkTester({
+        ip: '192.168.1.114',
+        type: 'movie',
+        retry: '3',
+        retryDelay: 0
+      })
+
+      const outcomes = [false, true]
+      const result = await tester.runWithRetry('Deep Link Launch Test', 'launch', async () => {
+        const passed = outcomes.shift()
+        return { testName: 'Deep Link Launch Test', passed, error: passed ? undefined : 'Timeout' }
+      })
+
+      expect(result.passed).toBe(true)
+      expect(result.flaky).toBe(true)
+      expect(result.attempts).toHaveLength(2)
+      expect(result.attempts[0]).toMatchObject({ attempt: 1, passed: false, error: 'Timeout' })
+    })
+
+    test('should stop after max attempts', async () => {
+      const tester = new RokuDeepLinkTester({ ip: '192.168.1.114', retry: '2', retryDelay: 0 })
+      let calls = 0
+
+      const result = await tester.runWithRetry('Deep Link Input Test', 'input', async () => {
+        calls++
+        return { passed: false, error: 'Timeout' }
+      })
+
+      expect(calls).toBe(2)
+      expect(result.passed).toBe(false)
+      expect(result.flaky).toBe(false)
+    })
+  })
+
+  describe('Custom Beacons', () => {
+    const createTester = (expectBeacon) => new RokuDeepLinkTester({
+      ip: '192.168.1.114',
+      type: 'series',
+      wait: '1',
+      noBanner: true,
+      expectBeacon
+    })
+
+    test('should match custom beacons by name and regex', () => {
+      const tester = createTester(['AppCustomEvent', '/AdPod(Start|Begin)/'])
+
+      tester.processLogData('[beacon.signal] |AppCustomEvent ---------> Duration(120 ms)')
+      tester.processLogData('ad tracker: AdPodBegin slot=1')
+      tester.processLogData('AppCustomEventually unrelated')
+
+      expect(tester.beaconsReceived.has('AppCustomEvent')).toBe(true)
+      expect(tester.beaconsReceived.has('/AdPod(Start|Begin)/')).toBe(true)
+      expect(tester.beaconTimings.AppCustomEvent).toBe(120)
+    })
+
+    test('should fail with missing beacon error when custom beacon never arrives', async () => {
+      const tester = createTester(['AppCustomEvent'])
+
+      const result = await tester.waitForBeaconsWithSmartDetection('Test', ['AppCustomEvent'], 600)
+
+      expect(result.passed).toBe(false)
+      expect(result.missingBeacons).toEqual(['AppCustomEvent'])
+      expect(result.error).toContain('custom beacon AppCustomEvent')
+    })
+
+    test('should pass and report custom beacons once received', async () => {
+      const tester = createTester(['AppCustomEvent'])
+
+      setTimeout(() => tester.processLogData('AppCustomEvent fired'), 100)
+      const result = await tester.waitForBeaconsWithSmartDetection('Test', ['AppCustomEvent'], 2000)
+
+      expect(result.passed).toBe(true)
+      expect(result.beaconsReceived).toContain('AppCustomEvent')
+    })
+  })
+
+  describe('Beacon Registry', () => {
+    const BeaconRegistry = require('../lib/beacon-registry')
+
+    test('should match default beacons and extract timings', () => {
+      const registry = new BeaconRegistry()
+      const [match] = registry.match('[beacon.signal] |VODStartInitiate ---------> TimeBase(4521 ms)')
+
+      expect(match.definition.name).toBe('VODStartInitiate')
+      expect(match.definition.group).toBe('vod')
+      expect(match.value).toBe(4521)
+    })
+
+    test('should ignore AppLaunchComplete without a duration', () => {
+      const tester = new RokuDeepLinkTester({ ip: '192.168.1.114', noBanner: true })
+
+      tester.processLogData('[beacon.signal] |AppLaunchComplete')
+      expect(tester.beaconsReceived.has('AppLaunchComplete')).toBe(false)
+
+      tester.processLogData('[beacon.signal] |AppLaunchComplete ---------> Duration(2150 ms)')
+      expect(tester.beaconTimings.AppLaunchComplete).toBe(2150)
+    })
+
+    test('should support custom timing extraction', () => {
+      const registry = new BeaconRegistry([])
+      registry.register({
+        name: 'AdPodComplete',
+        pattern: /AdPodComplete/,
+        group: 'custom',
+        extract: (line) => ({ Ads: parseInt(line.match(/ads=(\d+)/)[1]) }),
+        primaryTiming: 'Ads'
+      })
+
+      const [match] = registry.match('AdPodComplete ads=3')
+      expect(match.value).toBe(3)
+    })
+
+    test('should reject definitions for unknown groups', () => {
+      const registry = new BeaconRegistry()
+      expect(() => registry.register({ name: 'Foo', group: 'nope' })).toThrow('Unknown beacon group "nope"')
+    })
+
+    test('should treat registered playback groups as video playback', () => {
+      const registry = new BeaconRegistry()
+      registry.registerGroup('ssai', { label: 'SSAI', playback: true })
+      registry.register({ name: 'SSAIStartComplete', group: 'ssai', role: 'complete', timings: ['Duration'] })
+
+      const tester = new RokuDeepLinkTester({ ip: '192.168.1.114', noBanner: true, beaconRegistry: registry })
+      tester.processLogData('SSAIStartComplete Duration(900 ms)')
+
+      expect(tester.findCompletedPlaybackGroup().label).toBe('SSAI')
+      expect(tester.getFoundBeacons(['VideoPlaybackStart'], new Set())).toEqual(['SSAIStartComplete'])
+    })
+
+    test('should register beacons programmatically through index.js', () => {
+      RokuDeepLinkTester.registerBeacon({ name: 'AppReadyForDeepLink', group: 'launch' })
+      const tester = new RokuDeepLinkTester({ ip: '192.168.1.114', noBanner: true })
+      RokuDeepLinkTester.beacons.unregister('AppReadyForDeepLink')
+
+      tester.processLogData('AppReadyForDeepLink')
+      expect(tester.beaconsReceived.has('AppReadyForDeepLink')).toBe(true)
+    })
+  })
+
+  describe('Telnet Stream Parsing', () => {
+    const LineBuffer = require('../lib/line-buffer')
+    const SessionLog = require('../lib/session-log')
+
+    test('should reassemble lines split across chunks', () => {
+      const buffer = new LineBuffer()
+
+      expect(buffer.push('[beacon.signal] |AppLaunch')).toEqual([])
+      expect(buffer.push('Complete ---> Duration(1200 ms)\r')).toEqual([])
+      expect(buffer.push('\nnext line\nthird')).toEqual(['[beacon.signal] |AppLaunchComplete ---> Duration(1200 ms)', 'next line'])
+      expect(buffer.flush()).toEqual(['third'])
+    })
+
+    test('should keep UTF-8 characters split across chunks intact', () => {
+      const buffer = new LineBuffer()
+      const bytes = Buffer.from('Título: Café ✓\n')
+
+      expect(buffer.push(bytes.subarray(0, 2))).toEqual([])
+      expect(buffer.push(bytes.subarray(2, 16))).toEqual([])
+      expect(buffer.push(bytes.subarray(16))).toEqual(['Título: Café ✓'])
+    })
+
+    test('should detect beacons split across telnet chunks', () => {
+      const tester = new RokuDeepLinkTester({ ip: '192.168.1.114', noBanner: true })
+
+      tester.handleTelnetData(Buffer.from('[beacon.signal] |VODStartCom'))
+      tester.handleTelnetData(Buffer.from('plete ---> Duration(3400 ms)\nVODStartInitiate TimeBase(900 ms)\n'))
+
+      expect(tester.beaconTimings.VODStartComplete).toBe(3400)
+      expect(tester.beaconTimings.VODStartInitiate).toBe(900)
+      expect(tester.telnetLogBuffer).toHaveLength(2)
+      expect(tester.telnetLogBuffer[0].timestamp).toBeDefined()
+    })
+
+    test('should write session transcript with markers', async () => {
+      const tempDir = path.join(__dirname, 'temp')
+      const logPath = path.join(tempDir, 'session.log')
+      const log = new SessionLog(logPath).open({ target: '192.168.1.114' })
+
+      log.testStart('Deep Link Launch Test', 'launch')
+      log.command('ECP POST http://192.168.1.114:8060/launch/dev')
+      log.line('AppLaunchComplete Duration(1200 ms)')
+      log.testEnd('Deep Link Launch Test', { passed: true, duration: 1500 })
+      await log.close()
+
+      const transcript = await fs.readFile(logPath, 'utf8')
+      await fs.rmdir(tempDir, { recursive: true })
+
+      expect(transcript).toContain('# target: 192.168.1.114')
+      expect(transcript).toContain('===== TEST START: Deep Link Launch Test (launch) =====')
+      expect(transcript).toContain('>>> ECP POST http://192.168.1.114:8060/launch/dev')
+      expect(transcript).toContain('TEST END: Deep Link Launch Test PASSED in 1500ms')
+    })
+
+    test('should disable the session log when the file is not writable', async () => {
+      const errors = []
+      const log = new SessionLog(__dirname, { onError: error => errors.push(error.code) }).open({ target: '192.168.1.114' })
+
+      log.marker('TEST START')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      log.line('still running')
+      await log.close()
+
+      expect(errors).toEqual(['EISDIR'])
+      expect(log.stream).toBeNull()
+    })
+
+    test('should close a session log whose file fails while closing', async () => {
+      const { EventEmitter } = require('events')
+      const errors = []
+      const log = new SessionLog('session.log', { onError: error => errors.push(error.code) })
+      // Like a stream on Node 14: end() reports the failure but never calls back
+      const stream = Object.assign(new EventEmitter(), {
+        write: () => true,
+        end: () => setImmediate(() => stream.emit('error', Object.assign(new Error('no space left'), { code: 'ENOSPC' })))
+      })
+      stream.on('error', error => log.fail(error))
+      log.stream = stream
+
+      await log.close()
+
+      expect(errors).toEqual(['ENOSPC'])
+    })
+  })
+
+  describe('Mock Device', () => {
+    const RaspRunner = require('../lib/rasp-runner')
+    const mock = withMockDevice()
+
+    test('should run the full launch and input flow against the mock', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+
+      const results = await mock.createTester().runTests()
+
+      expect(results.success).toBe(true)
+      expect(results.totalTests).toBe(2)
+      expect(results.tests[0].beaconTimings.AppLaunchComplete).toBe(1850)
+      expect(results.tests[1].detectedContentType).toBe('VOD')
+      expect(device.requestsFor('input')[0].params).toEqual({ contentId: '1234', mediaType: 'movie' })
+    }, 30000)
+
+    test('should reassemble fragmented debug console output', async () => {
+      await mock.start({ scenario: { extends: 'live', chunkSize: 7 } })
+      const tester = mock.createTester()
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(true)
+      expect(result.detectedContentType).toBe('Live')
+    }, 15000)
+
+    test('should fail when beacons never arrive', async () => {
+      await mock.start({ scenario: 'missing-beacons' })
+      const tester = mock.createTester({ wait: '1' })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(false)
+      expect(result.error).toContain('Missing: AppLaunchComplete')
+    }, 15000)
+
+    test('should report refused debug console connections', async () => {
+      await mock.start({ scenario: 'refuse' })
+
+      await expect(mock.createTester().connectTelnet()).rejects.toThrow('Telnet connection failed')
+    })
+
+    test('should run RASP steps against the mock ECP server', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const runner = new RaspRunner('127.0.0.1', null, { ecpPort: device.ecpPort })
+      runner.params = { channels: { MyApp: 'dev' } }
+
+      await runner.launchChannel('MyApp')
+      await runner.pressKey('ok')
+
+      expect(device.requestsFor('launch')[0].target).toBe('dev')
+      expect(device.requestsFor('keypress')[0].target).toBe('Select')
+    })
+  })
+
+  describe('JUnit Reporter', () => {
+    const JUnitReporter = require('../lib/junit-reporter')
+
+    const createResults = () => {
+      const tester = new RokuDeepLinkTester({
+        ip: '192.168.1.114',
+        app: 'dev',
+        content: '1234',
+        type: 'movie',
+        wait: '30',
+        testId: 'nightly-20250115'
+      })
+      tester.testResults = [
+        {
+          testName: 'Deep Link Launch Test',
+          command: 'launch',
+          passed: true,
+          duration: 2156,
+          beaconTimings: { AppLaunchComplete: 1850, VODStartComplete: 3200 }
+        },
+        {
+          testName: 'Deep Link Input Test',
+          command: 'input',
+          passed: false,
+          duration: 30000,
+          error: 'Timeout after 30000ms. Missing: Video playback beacons (VOD or Live)',
+          beaconsReceived: []
+        }
+      ]
+      tester.telnetLogBuffer = [{ timestamp: '2025-01-15T10:30:00.000Z', line: 'Error <script> & "quotes"' }]
+      return tester.formatResults()
+    }
+
+    test('should name the testsuite after the test id', () => {
+      const xml = new JUnitReporter().render(createResults())
+
+      expect(xml).toContain('<testsuite name="nightly-20250115" tests="2" failures="1"')
+      expect(xml).toContain('<testcase name="Deep Link Launch Test" classname="roku-deep-link.dev.1234" time="2.156">')
+    })
+
+    test('should include failures, telnet logs and beacon timing properties', () => {
+      const xml = new JUnitReporter().render(createResults())
+
+      expect(xml).toContain('<property name="beacon.AppLaunchComplete.ms" value="1850"/>')
+      expect(xml).toContain('<failure message="Timeout after 30000ms. Missing: Video playback beacons (VOD or Live)" type="DeepLinkFailure">')
+      expect(xml).toContain('<system-out>[2025-01-15T10:30:00.000Z] Error &lt;script&gt; &amp; &quot;quotes&quot;</system-out>')
+    })
+  })
+
+  describe('HTML Reporter', () => {
+    const HtmlReporter = require('../lib/html-reporter')
+
+    const createResults = () => {
+      const tester = new RokuDeepLinkTester({
+        ip: '192.168.1.114',
+        app: 'dev',
+        content: '1234',
+        type: 'movie',
+        wait: '30',
+        testId: 'cert-run',
+        noBanner: true
+      })
+      tester.testResults = [
+        {
+          testName: 'Deep Link Launch Test',
+          command: 'launch',
+          passed: true,
+          duration: 4200,
+          beaconTimings: { AppLaunchComplete: 1850, VODStartComplete: 9100 },
+          beaconOffsets: { AppLaunchComplete: 1900, VODStartInitiate: 2300, VODStartComplete: 4100 },
+          telnetLogs: ['[2025-01-15T10:30:00.000Z] <b>not markup</b>']
+        }
+      ]
+      return tester.formatResults()
+    }
+
+    test('should render a self-contained report with configuration and results', () => {
+      const html = new HtmlReporter().render(createResults())
+
+      expect(html).toMatch(/^<!DOCTYPE html>/)
+      expect(html).toContain('<style>')
+      expect(html).not.toMatch(/<(link|script)\b/)
+      expect(html).toContain('<th>contentId</th><td>1234</td>')
+      expect(html).toContain('Deep Link Launch Test')
+    })
+
+    test('should draw the beacon timeline and limit bars', () => {
+      const html = new HtmlReporter().render(createResults())
+
+      expect(html).toContain('ECP send')
+      expect(html).toContain('VODStartInitiate<br>+2.3s')
+      expect(html).toContain('9100ms (9.1s) / 8s limit')
+      expect(html).toContain('background: #d64545')
+    })
+
+    test('should escape telnet logs in a collapsible section', () => {
+      const html = new HtmlReporter().render(createResults())
+
+      expect(html).toContain('<summary>Telnet log excerpt (1 lines)</summary>')
+      expect(html).toContain('&lt;b&gt;not markup&lt;/b&gt;')
+    })
+  })
+
+  describe('Device Pool', () => {
+    const DevicePool = require('../lib/device-pool')
+    const JUnitReporter = require('../lib/junit-reporter')
+
+    const deviceResults = (passed) => ({
+      success: passed,
+      totalTests: 1,
+      passedTests: passed ? 1 : 0,
+      failedTests: passed ? 0 : 1,
+      flakyTests: 0,
+      tests: [{ testName: 'Deep Link Launch Test', command: 'launch', passed, duration: 1000 }],
+      configuration: { app: 'dev', contentId: '1234' }
+    })
+
+    test('should parse IP lists and keep device names unique', () => {
+      expect(DevicePool.parseIpList('192.168.1.10, 192.168.1.11,192.168.1.12')).toEqual(['192.168.1.10', '192.168.1.11', '192.168.1.12'])
+
+      const devices = DevicePool.normalize(['192.168.1.10', { name: 'ultra', ip: '192.168.1.11' }, { name: 'ultra', ip: '192.168.1.12' }])
+      expect(devices.map(device => device.name)).toEqual(['192.168.1.10', 'ultra', 'ultra-2'])
+      expect(() => DevicePool.normalize([{ name: 'no-ip' }])).toThrow('Device 1: ip is required')
+    })
+
+    test('should give each device its own ports and session log file', () => {
+      const pool = new DevicePool([{ name: 'lab tv', ip: '192.168.1.10', telnetPort: 18085 }])
+      const options = pool.optionsFor(pool.devices[0], { ecpPort: '8060', telnetPort: '8085', logFile: './logs/session.log' })
+
+      expect(options.ip).toBe('192.168.1.10')
+      expect(options.ecpPort).toBe('8060')
+      expect(options.telnetPort).toBe(18085)
+      expect(options.logFile).toBe('./logs/session-lab_tv.log')
+    })
+
+    test('should respect the concurrency limit and buffer output per device', async () => {
+      const pool = new DevicePool(['192.168.1.10', '192.168.1.11', '192.168.1.12'], { concurrency: 2, testId: 'lab' })
+      const completed = []
+      pool.onDeviceComplete = (entry) => completed.push(entry)
+      let running = 0
+      let maxRunning = 0
+
+      const results = await pool.run(async (device, logger) => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        logger(`start ${device.ip}`)
+        await new Promise(resolve => setTimeout(resolve, 20))
+        logger(`end ${device.ip}`)
+        running--
+        if (device.ip === '192.168.1.12') {
+          throw new Error('Telnet connection failed')
+        }
+        return deviceResults(true)
+      })
+
+      expect(maxRunning).toBe(2)
+      expect(completed[0].output).toEqual(['start 192.168.1.10', 'end 192.168.1.10'])
+
+      expect(results.success).toBe(false)
+      expect(results.totalDevices).toBe(3)
+      expect(results.passedDevices).toBe(2)
+      expect(results.totalTests).toBe(2)
+      expect(results.tests.map(test => test.device)).toEqual(['192.168.1.10', '192.168.1.11'])
+      expect(results.devices[2].error).toBe('Telnet connection failed')
+    })
+
+    test('should route tester output through a logger instead of the console', () => {
+      const lines = []
+      const tester = new RokuDeepLinkTester({
+        ip: '192.168.1.10',
+        app: 'dev',
+        content: '1234',
+        type: 'movie',
+        wait: '30',
+        logger: (line) => lines.push(line)
+      })
+      const spy = jest.spyOn(console, 'log').mockImplementation(() => {})
+
+      tester.log('Starting Roku Deep Link Tests', 'info', true)
+      tester.createSpinner('Connecting...').succeed('Telnet connection established')
+
+      expect(spy).not.toHaveBeenCalled()
+      spy.mockRestore()
+      expect(lines).toHaveLength(2)
+      expect(lines[1]).toContain('Telnet connection established')
+    })
+
+    test('should render one JUnit testsuite per device', () => {
+      const pool = new DevicePool([{ name: 'ultra', ip: '192.168.1.10' }, { name: 'express', ip: '192.168.1.11' }], { testId: 'lab' })
+      const results = pool.aggregate(pool.devices.map((device, index) => ({ device, output: [], results: deviceResults(index === 0) })))
+      const xml = new JUnitReporter().render(results)
+
+      expect(xml).toContain('<testsuites name="lab" tests="2" failures="1"')
+      expect(xml).toContain('<testsuite name="lab.ultra" tests="1" failures="0"')
+      expect(xml).toContain('<testsuite name="lab.express" tests="1" failures="1"')
+    })
+  })
+
+  describe('Device Discovery', () => {
+    const DeviceDiscovery = require('../lib/discovery')
+    const EcpClient = require('../lib/ecp-client')
+
+    let devices = []
+
+    afterEach(async () => {
+      await Promise.all(devices.map(device => device.stop()))
+      devices = []
+    })
+
+    const startDevice = async (deviceInfo) => {
+      const device = await new MockRokuDevice({ ssdpPort: 0, deviceInfo }).start()
+      devices.push(device)
+      return device
+    }
+
+    test('should parse roku:ecp SSDP responses only', () => {
+      const response = DeviceDiscovery.parseResponse([
+        'HTTP/1.1 200 OK',
+        'ST: roku:ecp',
+        'USN: uuid:roku:ecp:X00400ABCDEF',
+        'LOCATION: http://192.168.1.114:8060/',
+        ''
+      ].join('\r\n'))
+
+      expect(response).toEqual({
+        ip: '192.168.1.114',
+        ecpPort: 8060,
+        location: 'http://192.168.1.114:8060/',
+        usn: 'uuid:roku:ecp:X00400ABCDEF'
+      })
+      expect(DeviceDiscovery.parseResponse('HTTP/1.1 200 OK\r\nST: upnp:rootdevice\r\nLOCATION: http://192.168.1.20/\r\n')).toBeNull()
+    })
+
+    test('should parse device-info XML fields', () => {
+      const fields = EcpClient.parseFields('<device-info><serial-number>X004</serial-number><user-device-name>Den &amp; Bar</user-device-name></device-info>')
+
+      expect(fields.serialNumber).toBe('X004')
+      expect(fields.userDeviceName).toBe('Den & Bar')
+    })
+
+    test('should discover devices through a local SSDP responder', async () => {
+      const device = await startDevice({ serialNumber: 'X00400ABCDEF', friendlyName: 'Living Room Ultra' })
+      const discovery = new DeviceDiscovery({ address: '127.0.0.1', port: device.ssdpPort, timeout: 500 })
+
+      const found = await discovery.discover()
+
+      expect(found).toHaveLength(1)
+      expect(found[0]).toMatchObject({
+        ip: '127.0.0.1',
+        ecpPort: device.ecpPort,
+        serialNumber: 'X00400ABCDEF',
+        modelName: 'Roku Ultra',
+        friendlyName: 'Living Room Ultra'
+      })
+    })
+
+    test('should select a device by friendly name or serial number', async () => {
+      const device = await startDevice({ serialNumber: 'X00400ABCDEF', friendlyName: 'Living Room Ultra' })
+      const discovery = new DeviceDiscovery({ address: '127.0.0.1', port: device.ssdpPort, timeout: 500 })
+
+      const [byName] = await discovery.find('living room ultra')
+      expect(byName.serialNumber).toBe('X00400ABCDEF')
+
+      const [bySerial] = await discovery.find(['X00400ABCDEF'])
+      expect(bySerial.friendlyName).toBe('Living Room Ultra')
+
+      await expect(discovery.find('Bedroom Stick')).rejects.toThrow('No Roku device matching "Bedroom Stick" found. Discovered: Living Room Ultra (X00400ABCDEF)')
+    })
+
+    test('should refuse a friendly name shared by several devices', async () => {
+      const discovery = new DeviceDiscovery()
+      discovery.discover = async () => [
+        { ip: '192.168.1.20', serialNumber: 'X004A', friendlyName: 'Roku Express' },
+        { ip: '192.168.1.21', serialNumber: 'X004B', friendlyName: 'Roku Express' }
+      ]
+
+      await expect(discovery.find('roku express')).rejects.toThrow('2 Roku devices are named "roku express": 192.168.1.20 (X004A), 192.168.1.21 (X004B). Select one by serial number.')
+      const [device] = await discovery.find('X004B')
+      expect(device.ip).toBe('192.168.1.21')
+    })
+
+    test('should ignore a socket error after the search timed out', async () => {
+      const dgram = require('dgram')
+      const createSocket = jest.spyOn(dgram, 'createSocket')
+
+      try {
+        const devices = await new DeviceDiscovery({ address: '127.0.0.1', port: 9, timeout: 50 }).search()
+        const socket = createSocket.mock.results[0].value
+
+        expect(devices).toEqual([])
+        expect(() => socket.emit('error', new Error('late send failure'))).not.toThrow()
+      } finally {
+        createSocket.mockRestore()
+      }
+    })
+  })
+  describe('Pre-flight Checks', () => {
+    const Preflight = require('../lib/preflight')
+    const mock = withMockDevice()
+
+    const preflightFor = (appIds, options = {}) => new Preflight({
+      ip: '127.0.0.1',
+      ecpPort: mock.device.ecpPort,
+      telnetPort: mock.device.telnetPort,
+      appIds,
+      timeout: 2000,
+      ...options
+    })
+
+    test('should record device and app metadata when every check passes', async () => {
+      const device = await mock.start({
+        apps: [{ id: 'dev', name: 'My Channel', version: '2.3.1' }],
+        deviceInfo: { modelName: 'Roku Express', softwareVersion: '12.5.0' }
+      })
+
+      const result = await preflightFor(['dev']).run()
+
+      expect(result.passed).toBe(true)
+      expect(result.checks.map(check => check.name)).toEqual(['device-info', 'developer-mode', 'app:dev', 'debug-console'])
+      expect(result.device).toMatchObject({ modelName: 'Roku Express', softwareVersion: '12.5.0', developerEnabled: true })
+      expect(result.apps[0]).toMatchObject({ id: 'dev', version: '2.3.1', installed: true })
+    })
+
+    test('should diagnose a missing app and disabled developer mode', async () => {
+      await mock.start({ apps: [], deviceInfo: { developerEnabled: false } })
+
+      const result = await preflightFor(['dev', '151908']).run()
+      const failures = result.checks.filter(check => !check.passed).map(check => check.name)
+
+      expect(result.passed).toBe(false)
+      expect(failures).toEqual(['developer-mode', 'app:dev', 'app:151908'])
+      expect(result.checks.find(check => check.name === 'app:151908').message).toContain('App 151908 is not installed')
+    })
+
+    test('should diagnose a refused debug console port', async () => {
+      const device = await mock.start({ scenario: 'refuse' })
+
+      const result = await preflightFor(['dev']).run()
+      const check = result.checks.find(check => check.name === 'debug-console')
+
+      expect(check.passed).toBe(false)
+      expect(check.message).toContain(`Debug console port ${device.telnetPort} refused the connection (ECONNREFUSED)`)
+    })
+
+    test('should diagnose an unreachable ECP server', async () => {
+      const device = await mock.start()
+      const preflight = preflightFor(['dev'])
+      await mock.stop()
+
+      const result = await preflight.run()
+
+      expect(result.passed).toBe(false)
+      expect(result.checks).toHaveLength(1)
+      expect(result.checks[0].message).toContain('refused the connection - check that 127.0.0.1 is a Roku device')
+    })
+
+    test('should stop the run and report pre-flight results in formatResults', async () => {
+      const device = await mock.start({ apps: [] })
+      const tester = mock.createTester({ logger: () => {} })
+
+      const results = await tester.runTests()
+
+      expect(results.success).toBe(false)
+      expect(results.totalTests).toBe(0)
+      expect(results.preflight.passed).toBe(false)
+      expect(results.deviceInfo.modelName).toBe('Roku Ultra')
+      expect(results.appInfo).toEqual({ id: 'dev', installed: false })
+      expect(device.requestsFor('launch')).toHaveLength(0)
+    })
+  })
+  describe('Playback Verification', () => {
+    const PlaybackVerifier = require('../lib/playback-verifier')
+    const EcpClient = require('../lib/ecp-client')
+    const mock = withMockDevice()
+
+    // Fake ECP client that replays a sequence of media-player states
+    const playerSequence = (states) => ({
+      mediaPlayer: async () => states.length > 1 ? states.shift() : states[0]
+    })
+    const verify = (states, options = {}) => new PlaybackVerifier(playerSequence(states), {
+      seconds: 0.03,
+      interval: 10,
+      timeout: 200,
+      ...options
+    }).verify()
+
+    test('should parse /query/media-player responses', () => {
+      const player = EcpClient.parseMediaPlayer('<player error="false" state="play"><plugin bandwidth="1 bps" id="dev" name="My Channel"/><position>12345 ms</position><duration>5400000 ms</duration><is_live>false</is_live></player>')
+
+      expect(player).toEqual({ state: 'play', error: false, position: 12345, duration: 5400000, isLive: false, pluginId: 'dev' })
+    })
+
+    test('should pass once the position keeps advancing in the play state', async () => {
+      let position = 0
+      const client = {
+        mediaPlayer: async () => {
+          position += 100
+          return { state: position > 200 ? 'play' : 'buffer', error: false, position }
+        }
+      }
+
+      const result = await new PlaybackVerifier(client, { seconds: 0.05, interval: 10, timeout: 1000 }).verify()
+
+      expect(result.passed).toBe(true)
+      expect(result.timeToPlay).not.toBeNull()
+      expect(result.advancedMs).toBeGreaterThan(0)
+    })
+
+    test('should fail on stalls, player errors and never reaching play', async () => {
+      const stalled = await verify([
+        { state: 'play', error: false, position: 1000 },
+        { state: 'play', error: false, position: 1000 }
+      ])
+      expect(stalled.error).toBe('Playback stalled at position 1000ms')
+
+      const errored = await verify([{ state: 'close', error: true, position: null }])
+      expect(errored.error).toBe('Player reported an error (state: close)')
+
+      const neverPlayed = await verify([{ state: 'buffer', error: false, position: 0 }])
+      expect(neverPlayed.passed).toBe(false)
+      expect(neverPlayed.error).toContain('Player did not reach the play state within 0.2s (last state: buffer)')
+    })
+
+    test('should give up when the player stops answering after play', async () => {
+      let calls = 0
+      const client = {
+        mediaPlayer: async () => {
+          if (++calls > 1) {
+            throw new Error('connect ECONNREFUSED')
+          }
+          return { state: 'play', error: false, position: 1000 }
+        }
+      }
+
+      const result = await new PlaybackVerifier(client, { seconds: 0.05, interval: 10, timeout: 100 }).verify()
+
+      expect(result.passed).toBe(false)
+      expect(result.error).toBe('Playback could not be confirmed for 0.05s within 0.15s (media-player query failed: connect ECONNREFUSED)')
+    })
+
+    test('should reject invalid playback seconds', () => {
+      expect(() => new RokuDeepLinkTester({ ip: '192.168.1.114', wait: '30', playbackSeconds: 'abc' }))
+        .toThrow('Invalid playback seconds "abc" - use a number of seconds')
+    })
+
+    test('should reject unknown verification modes', () => {
+      expect(() => new RokuDeepLinkTester({ ip: '192.168.1.114', wait: '30', verifyPlayback: 'sometimes' }))
+        .toThrow('Invalid playback verification mode "sometimes". Use one of: beacons, player, either, both')
+    })
+
+    const runLaunchTest = async (scenario, verifyPlayback, playbackSeconds = '1') => {
+      await mock.start({ scenario })
+      const tester = mock.createTester({ verifyPlayback, playbackSeconds })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+      return result
+    }
+
+    test('should accept either signal in "either" mode', async () => {
+      const result = await runLaunchTest('player-error', 'either')
+
+      expect(result.passed).toBe(true)
+      expect(result.playback.beacons).toBe(true)
+      expect(result.playback.player.passed).toBe(false)
+    }, 15000)
+
+    test('should require both signals in "both" mode', async () => {
+      const result = await runLaunchTest('player-error', 'both')
+
+      expect(result.passed).toBe(false)
+      expect(result.error).toBe('Player verification failed: Player reported an error (state: close)')
+    }, 15000)
+
+    test('should catch a stalled player that beacons miss', async () => {
+      const result = await runLaunchTest('stall', 'player', '3')
+
+      expect(result.passed).toBe(false)
+      expect(result.playbackStarted).toBe(false)
+      expect(result.error).toContain('Player verification failed: Playback stalled')
+    }, 15000)
+
+    test('should confirm healthy playback with the player alone', async () => {
+      const result = await runLaunchTest('vod', 'player')
+
+      expect(result.passed).toBe(true)
+      expect(result.playback.player.advancedMs).toBeGreaterThan(0)
+      expect(result.detectedContentType).toBe('VOD')
+    }, 15000)
+  })
+  describe('Active App Verification', () => {
+    const ActiveAppMonitor = require('../lib/active-app-monitor')
+    const EcpClient = require('../lib/ecp-client')
+    const mock = withMockDevice()
+
+    test('should parse the foreground app, home screen and screensaver', () => {
+      const home = EcpClient.parseActiveApp('<active-app><app>Roku</app></active-app>')
+      expect(home).toMatchObject({ id: null, home: true, screensaver: null })
+
+      const app = EcpClient.parseActiveApp('<active-app><app id="dev" type="appl" version="1.2.0">My Channel</app><screensaver id="55545" type="ssvr" version="2.0.1">Default screensaver</screensaver></active-app>')
+      expect(app).toMatchObject({ id: 'dev', name: 'My Channel', home: false })
+      expect(ActiveAppMonitor.describe(app)).toBe('the screensaver (Default screensaver)')
+    })
+
+    test('should record the app exiting to the home screen', async () => {
+      const states = [
+        { id: null, name: 'Roku', home: true, screensaver: null },
+        { id: 'dev', name: 'My Channel', home: false, screensaver: null },
+        { id: null, name: 'Roku', home: true, screensaver: null }
+      ]
+      const client = { activeApp: async () => states.length > 1 ? states.shift() : states[0] }
+      const monitor = new ActiveAppMonitor(client, 'dev', { interval: 10, settleTime: 0 }).start()
+
+      await new Promise(resolve => setTimeout(resolve, 60))
+      const result = await monitor.stop()
+
+      expect(result.passed).toBe(false)
+      expect(result.transitions.map(transition => transition.appId)).toEqual([null, 'dev', null])
+      expect(result.error).toMatch(/^App dev exited to the Home screen \d+\.\ds after the deep link$/)
+    })
+
+    test('should fail a deep link that drops back to the home screen', async () => {
+      await mock.start({ scenario: 'exit-to-home' })
+      const tester = mock.createTester({ type: 'series', verifyActiveApp: true })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(false)
+      expect(result.activeApp.final.home).toBe(true)
+      expect(result.error).toContain('App dev exited to the Home screen')
+    }, 15000)
+
+    test('should confirm the foreground app after a deep link', async () => {
+      await mock.start({ scenario: 'vod' })
+      const tester = mock.createTester({ verifyActiveApp: true })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(true)
+      expect(result.activeApp).toMatchObject({ passed: true, final: { appId: 'dev', name: 'Mock Dev Channel' } })
+    }, 15000)
+
+    test('should leave the foreground checks off unless asked', async () => {
+      await mock.start({ scenario: 'exit-to-home' })
+      const tester = mock.createTester({ type: 'series' })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(tester.verifyActiveApp).toBe(false)
+      expect(result.activeApp).toBeUndefined()
+    }, 15000)
+
+    test('should require the app to be running before the input test', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      // Signed-in runs assume the app is still open after sign-in
+      const tester = mock.createTester({ signedIn: true, verifyActiveApp: true })
+
+      const result = await tester.runInputAttempt('Deep Link Input Test')
+
+      expect(result.passed).toBe(false)
+      expect(result.error).toBe('App dev is not running before the input test - the Home screen is in the foreground')
+      expect(device.requestsFor('input')).toHaveLength(0)
+    })
+  })
+
+  describe('Sideloading', () => {
+    const DevInstaller = require('../lib/dev-installer')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    // Just enough of a zip for the installer's format check
+    const writePackage = async (contents = 'PK\u0003\u0004 channel') => {
+      await fs.mkdir(tempDir, { recursive: true })
+      const zipPath = path.join(tempDir, 'channel.zip')
+      await fs.writeFile(zipPath, contents)
+      return zipPath
+    }
+
+    const createTester = (options = {}) => mock.createTester({ launchOnly: true, ...options })
+
+    test('should answer a digest challenge', () => {
+      const challenge = DevInstaller.parseChallenge('Digest qop="auth", realm="rokudev", nonce="abc123"')
+      expect(challenge).toEqual({ qop: 'auth', realm: 'rokudev', nonce: 'abc123' })
+
+      // RFC 2617 style: HA1 = MD5(user:realm:password), HA2 = MD5(method:uri)
+      const header = DevInstaller.digestAuthorization(challenge, { method: 'POST', uri: '/plugin_install', username: 'rokudev', password: 'secret', cnonce: 'c0ffee' })
+      expect(header).toContain('response="53e240cafbc5a36b3df0ddf44d87a27b"')
+      expect(header).toContain('qop=auth, nc=00000001, cnonce="c0ffee"')
+    })
+
+    test('should read the installer result message', () => {
+      const html = "Shell.create('Roku.Message').trigger('Set message type', 'error').trigger('Set message content', 'Install Failure: Compilation Failed.').trigger('Render', node);"
+      expect(DevInstaller.parseInstallResult(html)).toMatchObject({ success: false, message: 'Install Failure: Compilation Failed.' })
+      expect(DevInstaller.parseInstallResult('<font color="red">Identical to previous version -- not replacing.</font>').success).toBe(true)
+    })
+
+    test('should install a package and wait for the debug console', async () => {
+      const device = await mock.start({ installerPort: 0, devPassword: 'secret', apps: [], scenario: { extends: 'vod', install: { restartDelay: 800 } } })
+      const zipPath = await writePackage()
+      const tester = createTester({ sideload: zipPath, devPassword: 'secret' })
+
+      const results = await tester.runTests()
+
+      expect(device.installs).toEqual([{ fileName: 'channel.zip', bytes: 12, success: true, message: 'Install Success.' }])
+      expect(results.sideload).toMatchObject({ passed: true, package: zipPath, bytes: 12, message: 'Install Success.' })
+      expect(results.sideload.consoleTime).toBeGreaterThanOrEqual(300)
+      expect(results.success).toBe(true)
+    }, 20000)
+
+    test('should report install failures as the sideload phase', async () => {
+      const device = await mock.start({ installerPort: 0, devPassword: 'secret', scenario: 'install-failure' })
+      const tester = createTester({ sideload: await writePackage(), devPassword: 'secret' })
+
+      const results = await tester.runTests()
+
+      expect(results.success).toBe(false)
+      expect(results.sideload).toMatchObject({ passed: false, error: 'Install Failure: Compilation Failed.' })
+      expect(results.preflight).toBeNull()
+      expect(device.requestsFor('launch')).toHaveLength(0)
+    })
+
+    test('should reject a wrong developer password', async () => {
+      const device = await mock.start({ installerPort: 0, devPassword: 'secret' })
+      const tester = createTester({ sideload: await writePackage(), devPassword: 'wrong' })
+
+      const results = await tester.runTests()
+
+      expect(results.sideload.error).toMatch(/rejected the password for user "rokudev" - check --dev-password$/)
+      expect(device.installs).toHaveLength(0)
+    })
+  })
+
+  describe('Screenshots', () => {
+    const DevInstaller = require('../lib/dev-installer')
+    const RaspRunner = require('../lib/rasp-runner')
+    const HtmlReporter = require('../lib/html-reporter')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    const createTester = (options = {}) => mock.createTester({ devPassword: 'secret', screenshots: true, artifactsDir: tempDir, ...options })
+
+    test('should find the captured image in the inspect page', () => {
+      const html = "Shell.create('Roku.Image').trigger('Set image type', 'screenshot').trigger('Set image content', 'pkgs/dev.jpg?time=1700000000').trigger('Render', node);"
+      expect(DevInstaller.parseScreenshotPath(html)).toEqual({ uri: '/pkgs/dev.jpg?time=1700000000', extension: 'jpg' })
+      expect(DevInstaller.parseScreenshotPath('<img src="pkgs/dev.png?time=1">')).toEqual({ uri: '/pkgs/dev.png?time=1', extension: 'png' })
+      expect(DevInstaller.parseScreenshotPath('<html></html>')).toBeNull()
+    })
+
+    test('should save a screenshot after a deep link and reference it in the result', async () => {
+      await mock.start({ installerPort: 0, devPassword: 'secret' })
+      const tester = createTester()
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(true)
+      expect(result.screenshots).toHaveLength(1)
+      expect(result.screenshots[0]).toMatchObject({ name: 'Deep Link Launch Test after deep link', path: path.join(tempDir, '001-deep-link-launch-test-after-deep-link.png') })
+      const data = await fs.readFile(result.screenshots[0].path)
+      expect(data.slice(1, 4).toString()).toBe('PNG')
+    }, 15000)
+
+    test('should capture the screen when a test fails before the deep link', async () => {
+      const device = await mock.start({ installerPort: 0, devPassword: 'secret', scenario: 'launch-only' })
+      const tester = createTester({ signedIn: true, verifyActiveApp: true })
+      // The dev channel is in front, but the input test's pre-check fails on a screensaver
+      device.activeAppId = 'dev'
+      device.screensaver = true
+
+      const result = await tester.runWithRetry('Deep Link Input Test', 'input', () => tester.runInputAttempt('Deep Link Input Test'))
+
+      expect(result.error).toContain('is not running before the input test')
+      expect(result.screenshots[0]).toMatchObject({ name: 'Deep Link Input Test failure' })
+      expect(result.screenshots[0].path).toMatch(/001-deep-link-input-test-failure\.png$/)
+    })
+
+    test('should record failed captures without failing the test', async () => {
+      await mock.start({ installerPort: 0, devPassword: 'secret', scenario: 'exit-to-home' })
+      const tester = createTester({ type: 'series', verifyActiveApp: true })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      // The app went back to the Home screen, so there is no dev channel to capture
+      expect(result.error).toContain('exited to the Home screen')
+      expect(result.screenshots[0]).toMatchObject({ name: 'Deep Link Launch Test failure' })
+      expect(result.screenshots[0].error).toContain('the dev channel is not running')
+    }, 15000)
+
+    test('should skip screenshots for published channels', async () => {
+      const device = await mock.start({ installerPort: 0, devPassword: 'secret' })
+      const tester = createTester({ app: '151908' })
+
+      expect(await tester.captureScreenshot('anything')).toBeNull()
+      expect(device.screenshots).toBe(0)
+    })
+
+    test('should take screenshots from RASP screenshot steps', async () => {
+      const device = await mock.start({ installerPort: 0, devPassword: 'secret' })
+      await fs.mkdir(tempDir, { recursive: true })
+      const scriptPath = path.join(tempDir, 'signin.rasp')
+      await fs.writeFile(scriptPath, 'steps:\n  - launch: dev\n  - screenshot: login form\n')
+      const tester = createTester()
+
+      const runner = new RaspRunner('127.0.0.1', scriptPath, {
+        ecpPort: device.ecpPort,
+        log: () => {},
+        onScreenshot: (name) => tester.captureScreenshot(`sign-in ${name}`)
+      })
+      await runner.execute()
+
+      expect(runner.screenshots).toEqual([expect.objectContaining({ name: 'sign-in login form', path: path.join(tempDir, '001-sign-in-login-form.png') })])
+      expect(tester.formatResults().screenshots).toHaveLength(1)
+    })
+
+    test('should embed screenshots in the HTML report', async () => {
+      await fs.mkdir(tempDir, { recursive: true })
+      const shotPath = path.join(tempDir, 'shot.png')
+      await fs.writeFile(shotPath, Buffer.from('PNG data'))
+      const reportPath = path.join(tempDir, 'report.html')
+
+      await new HtmlReporter().write({
+        success: false,
+        totalTests: 1,
+        passedTests: 0,
+        failedTests: 1,
+        tests: [{ testName: 'Deep Link Launch Test', passed: false, error: 'Timeout', screenshots: [{ name: 'failure', path: shotPath }] }]
+      }, reportPath)
+
+      const html = await fs.readFile(reportPath, 'utf8')
+      expect(html).toContain(`data:image/png;base64,${Buffer.from('PNG data').toString('base64')}`)
+    })
+  })
+
+  describe('RASP Wait Steps', () => {
+    const EventEmitter = require('events')
+    const RaspRunner = require('../lib/rasp-runner')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    const writeScript = async (content) => {
+      await fs.mkdir(tempDir, { recursive: true })
+      const scriptPath = path.join(tempDir, 'wait.rasp')
+      await fs.writeFile(scriptPath, content.trim())
+      return scriptPath
+    }
+
+    test('should validate wait steps', async () => {
+      const validator = new RaspValidator()
+      const valid = await validator.validate(await writeScript(`
+params:
+  default_wait_timeout: 20
+steps:
+  - wait_for_log: "Login (ok|complete)"
+  - wait_for_beacon: AppLaunchComplete
+  - wait_for_active_app: { app: dev, timeout: 10 }
+  - wait_for_player_state: play
+      `))
+      expect(valid.errors).toEqual([])
+
+      const invalid = await validator.validate(await writeScript(`
+steps:
+  - wait_for_log: "Login (ok"
+  - wait_for_player_state: playing
+  - wait_for_beacon: { beacon: AppLaunchComplete, timeout: soon }
+  - wait_for_active_app: {}
+      `))
+      expect(invalid.errors).toEqual([
+        expect.stringMatching(/^Step 1: invalid wait_for_log pattern/),
+        expect.stringMatching(/^Step 2: "playing" is not a player state/),
+        'Step 3: timeout must be a positive number of seconds',
+        'Step 4: wait_for_active_app requires a "app" value'
+      ])
+    })
+
+    test('should wait for a log line and a beacon from the shared stream', async () => {
+      const stream = new EventEmitter()
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.1
+steps:
+  - wait_for_log: /signed in as \\w+/i
+  - wait_for_beacon: AppLaunchComplete
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { stream, log: () => {} })
+
+      const started = Date.now()
+      setTimeout(() => stream.emit('line', 'Welcome screen'), 50)
+      setTimeout(() => stream.emit('line', 'Signed in as tester'), 100)
+      // Arrives before the beacon step starts, while the previous wait is still finishing
+      setTimeout(() => stream.emit('beacon', 'AppLaunchComplete'), 120)
+      await runner.execute()
+
+      expect(Date.now() - started).toBeLessThan(2000)
+      expect(runner.received.map(entry => entry.value)).toEqual(['Welcome screen', 'Signed in as tester', 'AppLaunchComplete'])
+      expect(stream.listenerCount('line')).toBe(0)
+    })
+
+    test('should fail a wait step when its timeout expires', async () => {
+      const scriptPath = await writeScript(`
+steps:
+  - wait_for_beacon: { beacon: AppLaunchComplete, timeout: 0.3 }
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { stream: new EventEmitter(), log: () => {} })
+
+      await expect(runner.execute()).rejects.toThrow('Failed to execute step wait_for_beacon: Timed out after 0.3s waiting for beacon AppLaunchComplete')
+    })
+
+    test('should require the tester stream for log waits', async () => {
+      const runner = new RaspRunner('127.0.0.1', await writeScript('steps:\n  - wait_for_log: ready'), { log: () => {} })
+
+      await expect(runner.execute()).rejects.toThrow('wait_for_log needs the debug console stream')
+    })
+
+    test('should wait for the active app and player state over ECP', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.1
+  channels:
+    MyApp: dev
+steps:
+  - launch: MyApp
+  - wait_for_active_app: MyApp
+  - wait_for_player_state: { state: play, timeout: 0.5 }
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { ecpPort: device.ecpPort, pollInterval: 100, log: () => {} })
+
+      // A plain launch has no content, so the player never starts
+      await expect(runner.execute()).rejects.toThrow('Timed out after 0.5s waiting for player state "play" (last: close)')
+      expect(device.requestsFor('query').filter(request => request.target === 'active-app').length).toBeGreaterThan(0)
+    })
+
+    test('should share the tester debug console during sign-in', async () => {
+      await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.1
+steps:
+  - launch: dev
+  - wait_for_beacon: { beacon: AppLaunchComplete, timeout: 5 }
+      `)
+      const tester = mock.createTester({ signedIn: true, script: scriptPath })
+
+      await tester.connectTelnet()
+      await tester.handleSignIn()
+      tester.disconnectTelnet()
+
+      expect(tester.signInDuration).toBeLessThan(5000)
+      expect(tester.events.listenerCount('beacon')).toBe(0)
+    }, 15000)
+  })
+
+  describe('RASP Variables and Includes', () => {
+    const RaspScript = require('../lib/rasp-script')
+    const RaspRunner = require('../lib/rasp-runner')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    const writeScript = async (name, content) => {
+      await fs.mkdir(tempDir, { recursive: true })
+      const scriptPath = path.join(tempDir, name)
+      await fs.writeFile(scriptPath, content.trim())
+      return scriptPath
+    }
+
+    test('should parse --rasp-var values', () => {
+      expect(RaspScript.parseVars(['downs=3', 'url=http://x/?a=b'])).toEqual({ downs: '3', url: 'http://x/?a=b' })
+      expect(() => RaspScript.parseVars(['downs'])).toThrow('Invalid RASP variable "downs" - use name=value')
+    })
+
+    test('should interpolate script, CLI and environment variables', async () => {
+      const scriptPath = await writeScript('vars.rasp', `
+params:
+  vars:
+    channel: MyApp
+    user: tester
+steps:
+  - launch: \${channel}
+  - text: "\${user}@\${env.RASP_TEST_DOMAIN}"
+  - text: "literal $\${user}"
+      `)
+      const script = await RaspScript.load(scriptPath, { vars: { user: 'override' }, env: { RASP_TEST_DOMAIN: 'example.com' } })
+
+      expect(script.steps).toEqual([
+        { launch: 'MyApp' },
+        { text: 'override@example.com' },
+        { text: 'literal \${user}' }
+      ])
+      await expect(RaspScript.load(scriptPath, { env: {} })).rejects.toThrow('Step 2: environment variable RASP_TEST_DOMAIN is not set')
+    })
+
+    test('should expand repeat blocks and subroutine calls', async () => {
+      const scriptPath = await writeScript('calls.rasp', `
+params:
+  vars:
+    downs: 2
+subroutines:
+  open_menu:
+    - repeat:
+        times: \${downs}
+        steps:
+          - press: down
+    - press: ok
+steps:
+  - call: open_menu
+  - press: back
+      `)
+      const script = await RaspScript.load(scriptPath)
+
+      expect(script.steps).toEqual([{ press: 'down' }, { press: 'down' }, { press: 'ok' }, { press: 'back' }])
+      expect(script.locations).toEqual([
+        'Step 1 → open_menu step 1 (repeat 1/2) → step 1',
+        'Step 1 → open_menu step 1 (repeat 2/2) → step 1',
+        'Step 1 → open_menu step 2',
+        'Step 2'
+      ])
+    })
+
+    test('should reject unknown and recursive subroutines', async () => {
+      const unknown = await writeScript('unknown.rasp', `
+subroutines:
+  sign_in:
+    - press: ok
+steps:
+  - call: sign_out
+      `)
+      await expect(RaspScript.load(unknown)).rejects.toThrow('Step 1: unknown subroutine "sign_out" (defined: sign_in)')
+
+      const recursive = await writeScript('recursive.rasp', `
+subroutines:
+  a:
+    - call: b
+  b:
+    - call: a
+steps:
+  - call: a
+      `)
+      await expect(RaspScript.load(recursive)).rejects.toThrow('subroutine "a" calls itself (a → b → a)')
+    })
+
+    test('should inline includes relative to the including script', async () => {
+      await fs.mkdir(path.join(tempDir, 'lib'), { recursive: true })
+      await writeScript('lib/common.rasp', `
+params:
+  vars:
+    downs: 5
+    channel: Common
+  channels:
+    Common: 12345
+subroutines:
+  go_home:
+    - press: home
+steps:
+  - press: down
+      `)
+      const scriptPath = await writeScript('main.rasp', `
+params:
+  vars:
+    channel: Main
+steps:
+  - include: lib/common.rasp
+  - launch: \${channel}
+  - call: go_home
+      `)
+      const script = await RaspScript.load(scriptPath)
+
+      expect(script.steps).toEqual([{ press: 'down' }, { launch: 'Main' }, { press: 'home' }])
+      expect(script.params.vars).toEqual({ channel: 'Main', downs: 5 })
+      expect(script.params.channels).toEqual({ Common: 12345 })
+      expect(script.locations[0]).toMatch(/^Step 1 → .*common\.rasp step 1$/)
+    })
+
+    test('should detect include cycles and missing includes', async () => {
+      await writeScript('a.rasp', 'steps:\n  - include: b.rasp')
+      await writeScript('b.rasp', 'steps:\n  - include: a.rasp')
+      await expect(RaspScript.load(path.join(tempDir, 'a.rasp'))).rejects.toThrow(/Include cycle: .*a\.rasp → .*b\.rasp → .*a\.rasp/)
+
+      const missing = await writeScript('missing.rasp', 'steps:\n  - include: nope.rasp')
+      await expect(RaspScript.load(missing)).rejects.toThrow('Included script not found: nope.rasp')
+    })
+
+    test('should validate the expanded script', async () => {
+      const validator = new RaspValidator()
+      const scriptPath = await writeScript('validate.rasp', `
+subroutines:
+  bad:
+    - press: nowhere
+steps:
+  - repeat:
+      times: 3
+      steps:
+        - press: down
+  - call: bad
+      `)
+      const result = await validator.validate(scriptPath)
+
+      expect(result.valid).toBe(false)
+      expect(result.stepCount).toBe(4)
+      expect(result.sourceStepCount).toBe(2)
+      expect(result.errors).toEqual([expect.stringMatching(/^Step 2 → bad step 1: /)])
+
+      const bundled = await validator.validate(path.join(__dirname, '..', 'examples', 'signin-with-include.rasp'))
+      expect(bundled.errors).toEqual([])
+      expect(bundled.includes).toEqual([expect.stringMatching(/navigation\.rasp$/)])
+    })
+
+    test('should run the expanded steps against the device', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript('run.rasp', `
+params:
+  default_keypress_wait: 0.05
+  vars:
+    downs: 1
+subroutines:
+  move:
+    - repeat:
+        times: \${downs}
+        steps:
+          - press: down
+steps:
+  - call: move
+  - press: ok
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { ecpPort: device.ecpPort, vars: { downs: '3' }, log: () => {} })
+      await runner.execute()
+
+      expect(device.requestsFor('keypress').map(request => request.target)).toEqual(['Down', 'Down', 'Down', 'Select'])
+    })
+  })
+
+  describe('RASP Assertions and Failure Handling', () => {
+    const EventEmitter = require('events')
+    const RaspRunner = require('../lib/rasp-runner')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    const writeScript = async (content) => {
+      await fs.mkdir(tempDir, { recursive: true })
+      const scriptPath = path.join(tempDir, 'assert.rasp')
+      await fs.writeFile(scriptPath, content.trim())
+      return scriptPath
+    }
+
+    test('should validate assertions and step options', async () => {
+      const validator = new RaspValidator()
+      const valid = await validator.validate(await writeScript(`
+steps:
+  - launch: dev
+    label: start
+  - assert_log: /welcome/i
+    retries: 2
+    timeout: 5
+  - assert_not_log: "Login (failed|rejected)"
+    on_failure: goto start
+  - assert_active_app: dev
+    on_failure: continue
+      `))
+      expect(valid.errors).toEqual([])
+
+      const invalid = await validator.validate(await writeScript(`
+steps:
+  - assert_log: "Login (ok"
+  - press: ok
+    on_failure: retry
+  - press: ok
+    retries: -1
+  - press: ok
+    on_failure: goto nowhere
+  - press: ok
+    text: hello
+      `))
+      expect(invalid.errors).toEqual([
+        expect.stringMatching(/^Step 1: invalid assert_log pattern/),
+        'Step 2: on_failure must be abort, continue or "goto <label>", got "retry"',
+        'Step 3: retries must be a whole number',
+        'Step 5: Must contain exactly one action',
+        'Step 4: on_failure goes to "nowhere", but no step has that label'
+      ])
+    })
+
+    test('should abort on a failed assertion with the failing step', async () => {
+      const stream = new EventEmitter()
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.05
+steps:
+  - wait_for_log: Login
+  - assert_log: Welcome
+  - assert_not_log: /invalid password/i
+  - assert_log: never printed
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { stream, log: () => {} })
+      setTimeout(() => stream.emit('line', 'Welcome screen'), 50)
+      setTimeout(() => stream.emit('line', 'Login rejected: Invalid password'), 60)
+
+      await expect(runner.execute()).rejects.toThrow('Step 3: Failed to execute step assert_not_log: Log line matches /invalid password/i: Login rejected: Invalid password')
+      expect(runner.executedSteps).toBe(3)
+      expect(runner.failedStep).toEqual({
+        index: 3,
+        location: 'Step 3',
+        label: null,
+        description: 'Assert no log line matches /invalid password/i',
+        error: 'Failed to execute step assert_not_log: Log line matches /invalid password/i: Login rejected: Invalid password',
+        attempts: 1,
+        action: 'abort'
+      })
+    })
+
+    test('should retry a step and continue past it when asked', async () => {
+      const stream = new EventEmitter()
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.05
+steps:
+  - assert_log: never printed
+    retries: 2
+    on_failure: continue
+  - assert_log: Welcome
+    retries: 3
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { stream, log: () => {} })
+      const running = runner.execute()
+      // Arrives while the second assertion is being retried
+      setTimeout(() => stream.emit('line', 'Welcome screen'), 150)
+      await running
+
+      expect(runner.failures).toEqual([expect.objectContaining({ index: 1, attempts: 3, action: 'continue' })])
+      expect(runner.failedStep).toBeNull()
+    })
+
+    test('should jump to a labelled step on failure', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.05
+  channels:
+    MyApp: dev
+steps:
+  - launch: MyApp
+  - assert_active_app: 12345
+    on_failure: goto home
+  - press: ok
+  - press: home
+    label: home
+  - assert_active_app: MyApp
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { ecpPort: device.ecpPort, log: () => {} })
+
+      await expect(runner.execute()).rejects.toThrow('Step 5: Failed to execute step assert_active_app: Expected dev in the foreground, but the Home screen is active')
+      expect(device.requestsFor('keypress').map(request => request.target)).toEqual(['Home'])
+      expect(runner.failures.map(failure => [failure.index, failure.action])).toEqual([[2, 'goto'], [5, 'abort']])
+      expect(runner.failures[0].error).toMatch(/Expected 12345 in the foreground, but .*\(dev\) is active/)
+    })
+
+    test('should fail unknown steps and slow steps', async () => {
+      const unknown = new RaspRunner('127.0.0.1', await writeScript('steps:\n  - swipe: left'), { log: () => {} })
+      await expect(unknown.execute()).rejects.toThrow('Step 1: Failed to execute step swipe: Unknown step type "swipe"')
+
+      const slow = new RaspRunner('127.0.0.1', await writeScript('steps:\n  - pause: 1\n    timeout: 0.1'), { log: () => {} })
+      await expect(slow.execute()).rejects.toThrow('Step 1: Failed to execute step pause: did not finish within 0.1s')
+    })
+
+    test('should stop typing a timed-out text step before retrying it', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.05
+steps:
+  - text: abcdefghijkl
+    timeout: 0.2
+    retries: 1
+      `)
+      const runner = new RaspRunner('127.0.0.1', scriptPath, { ecpPort: device.ecpPort, log: () => {} })
+
+      await expect(runner.execute()).rejects.toThrow('did not finish within 0.2s')
+      const typed = () => device.requestsFor('keypress').map(request => request.target.replace('Lit_', '')).join('')
+      const afterRun = typed()
+      await new Promise(resolve => setTimeout(resolve, 300))
+
+      // Each attempt types a prefix of the text; nothing is sent once both were aborted
+      expect(typed()).toBe(afterRun)
+      const first = afterRun.lastIndexOf('a')
+      expect(first).toBeGreaterThan(0)
+      expect('abcdefghijkl'.startsWith(afterRun.slice(0, first))).toBe(true)
+      expect('abcdefghijkl'.startsWith(afterRun.slice(first))).toBe(true)
+    })
+
+    test('should report a failed sign-in as a phase result and skip the deep links', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript(`
+params:
+  default_keypress_wait: 0.05
+steps:
+  - launch: dev
+  - assert_log: Signed in as
+      `)
+      const tester = mock.createTester({ signedIn: true, script: scriptPath, skipPreflight: true })
+
+      const results = await tester.runTests()
+
+      expect(results.success).toBe(false)
+      expect(results.totalTests).toBe(0)
+      expect(results.signIn).toEqual(expect.objectContaining({
+        passed: false,
+        script: scriptPath,
+        stepCount: 2,
+        executedSteps: 2,
+        failedStep: expect.objectContaining({ index: 2, description: 'Assert a log line matches Signed in as' }),
+        error: expect.stringMatching(/^Step 2: Failed to execute step assert_log: No log line matching/)
+      }))
+      expect(device.requestsFor('launch').length).toBe(1)
+    }, 15000)
+  })
+
+  describe('RASP Schema and Diagnostics', () => {
+    const RaspSchema = require('../lib/rasp-schema')
+    const RaspRunner = require('../lib/rasp-runner')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(() => {
+      tempDir = path.join(__dirname, 'temp')
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    const writeScript = async (name, content) => {
+      await fs.mkdir(tempDir, { recursive: true })
+      const scriptPath = path.join(tempDir, name)
+      await fs.writeFile(scriptPath, content.trim())
+      return scriptPath
+    }
+
+    test('should resolve friendly and ECP key names', () => {
+      expect(RaspSchema.resolveKey('ok')).toBe('Select')
+      expect(RaspSchema.resolveKey('play')).toBe('Play')
+      expect(RaspSchema.resolveKey('fwd')).toBe('Fwd')
+      expect(RaspSchema.resolveKey('volumeup')).toBe('VolumeUp')
+      expect(RaspSchema.resolveKey('InputHDMI1')).toBe('InputHDMI1')
+      expect(RaspSchema.resolveKey('a')).toBe('Lit_a')
+      expect(RaspSchema.resolveKey('sideways')).toBeNull()
+      expect(RaspSchema.placeholderVariable('script-pin')).toBe('RASP_PIN')
+    })
+
+    test('should accept every ECP key and report errors with their position', async () => {
+      const validator = new RaspValidator({ env: {} })
+      const result = await validator.validate(await writeScript('keys.rasp', `
+params:
+  rasp_version: "1"
+steps:
+  - press: VolumeUp
+  - press: PowerOff
+  - press: FindRemote
+  - press: InputHDMI1
+  - press: sideways
+      `))
+
+      expect(result.errors).toEqual(['rasp_version must be a number', 'Step 5: "sideways" is not a valid key'])
+      expect(result.diagnostics).toEqual([
+        { severity: 'error', message: 'rasp_version must be a number', file: expect.stringMatching(/keys\.rasp$/), line: 2, column: 3 },
+        { severity: 'error', message: 'Step 5: "sideways" is not a valid key', file: expect.stringMatching(/keys\.rasp$/), line: 8, column: 5 }
+      ])
+    })
+
+    test('should warn about unset placeholders and unknown channel names', async () => {
+      const scriptPath = await writeScript('warnings.rasp', `
+params:
+  channels:
+    MyApp: dev
+steps:
+  - launch: MyAp
+  - launch: 12345
+  - text: script-pin
+  - assert_active_app: MyApp
+      `)
+
+      const result = await new RaspValidator({ env: {} }).validate(scriptPath)
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toEqual([
+        'Step 1: "MyAp" is not in params.channels and is not a channel ID',
+        'Step 3: script-pin reads RASP_PIN, which is not set'
+      ])
+      expect(result.diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.line])).toEqual([['warning', 5], ['warning', 7]])
+
+      const strict = await new RaspValidator({ env: { RASP_PIN: '1234' }, strict: true }).validate(scriptPath)
+      expect(strict.valid).toBe(false)
+      expect(strict.errors).toEqual([])
+      expect(strict.warnings).toEqual(['Step 1: "MyAp" is not in params.channels and is not a channel ID'])
+    })
+
+    test('should point at the included file for included steps', async () => {
+      await writeScript('common.rasp', `
+steps:
+  - press: ok
+  - press: nowhere
+      `)
+      const result = await new RaspValidator().validate(await writeScript('main.rasp', `
+steps:
+  - launch: dev
+  - include: common.rasp
+      `))
+
+      expect(result.diagnostics).toEqual([
+        { severity: 'error', message: 'Step 2 → common.rasp step 2: "nowhere" is not a valid key', file: 'common.rasp', line: 3, column: 5 }
+      ])
+    })
+
+    test('should report YAML syntax errors with their position', async () => {
+      const result = await new RaspValidator().validate(await writeScript('broken.rasp', 'steps:\n  - launch: [\n'))
+
+      expect(result.valid).toBe(false)
+      expect(result.diagnostics[0]).toEqual(expect.objectContaining({ severity: 'error', line: 2, column: 14 }))
+      expect(result.errors[0]).toMatch(/^Failed to parse YAML: /)
+    })
+
+    test('should send the keys the validator accepts', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const scriptPath = await writeScript('press.rasp', `
+params:
+  default_keypress_wait: 0.05
+steps:
+  - press: play
+  - press: volumeup
+  - press: a
+      `)
+      await new RaspRunner('127.0.0.1', scriptPath, { ecpPort: device.ecpPort, log: () => {} }).execute()
+
+      expect(device.requestsFor('keypress').map(request => request.target)).toEqual(['Play', 'VolumeUp', 'Lit_a'])
+
+      const invalid = new RaspRunner('127.0.0.1', await writeScript('bad.rasp', 'steps:\n  - press: sideways'), { ecpPort: device.ecpPort, log: () => {} })
+      await expect(invalid.execute()).rejects.toThrow('Step 1: Failed to execute step press: "sideways" is not an ECP key')
+    })
+  })
+
+  describe('Secrets', () => {
+    const Secrets = require('../lib/secrets')
+    const mock = withMockDevice()
+    let tempDir
+
+    beforeEach(async () => {
+      tempDir = path.join(__dirname, 'temp')
+      await fs.mkdir(tempDir, { recursive: true })
+    })
+
+    afterEach(async () => {
+      try {
+        await fs.rmdir(tempDir, { recursive: true })
+      } catch (err) {
+        // Ignore if doesn't exist
+      }
+    })
+
+    test('should parse .env files', () => {
+      expect(Secrets.parseDotenv([
+        '# Roku test account',
+        'RASP_LOGIN=tester@example.com',
+        'export RASP_PASSWORD="p@ss word"',
+        "RASP_PIN='1234' ",
+        'RASP_TOKEN=abc123 # comment'
+      ].join('\n'))).toEqual({
+        RASP_LOGIN: 'tester@example.com',
+        RASP_PASSWORD: 'p@ss word',
+        RASP_PIN: '1234',
+        RASP_TOKEN: 'abc123'
+      })
+    })
+
+    test('should resolve secrets from each provider in order', async () => {
+      await fs.writeFile(path.join(tempDir, '.env.roku'), 'RASP_LOGIN=dotenv-login\n')
+      await fs.writeFile(path.join(tempDir, 'secrets.json'), JSON.stringify({ pin: 4321, login: 'json-login' }))
+      const secrets = new Secrets({ env: { RASP_PASSWORD: 'env-password' }, baseDir: tempDir }).configure([
+        'env',
+        { provider: 'dotenv', file: '.env.roku' },
+        { provider: 'json', file: 'secrets.json' },
+        { provider: 'command', command: 'node -e "console.log(\'cmd-\' + process.env.RASP_SECRET_NAME)"' }
+      ])
+
+      expect(await secrets.resolve('password')).toEqual({ value: 'env-password', source: 'environment variable RASP_PASSWORD' })
+      expect(await secrets.resolve('login')).toEqual({ value: 'dotenv-login', source: 'RASP_LOGIN in .env.roku' })
+      expect((await secrets.resolve('pin')).value).toBe('4321')
+      expect((await secrets.resolve('api-token')).value).toBe('cmd-api-token')
+      expect([...secrets.values]).toEqual(['env-password', 'dotenv-login', '4321', 'cmd-api-token'])
+    })
+
+    test('should explain where a missing secret was looked for', async () => {
+      const envOnly = new Secrets({ env: {} })
+      await expect(envOnly.resolve('login')).rejects.toThrow('Required environment variable not set: RASP_LOGIN. Set it with: export RASP_LOGIN="your-value"')
+
+      await fs.writeFile(path.join(tempDir, 'secrets.json'), '{}')
+      const files = new Secrets({ env: {}, baseDir: tempDir }).configure(['env', { provider: 'json', file: 'secrets.json' }])
+      await expect(files.resolve('pin')).rejects.toThrow('Secret "pin" not found (tried environment variable RASP_PIN, "pin" in secrets.json)')
+
+      const failing = new Secrets({ baseDir: tempDir }).configure({ provider: 'command', command: 'node -e "process.exit(3)"' })
+      await expect(failing.resolve('pin')).rejects.toThrow('Secrets command for "pin" failed (exit code 3)')
+
+      expect(() => Secrets.normalize({ provider: 'vault' })).toThrow('Unknown secrets provider "vault" (use env, dotenv, json, command)')
+      expect(() => Secrets.normalize({ provider: 'json' })).toThrow('Secrets provider "json" needs a "file" value')
+    })
+
+    test('should redact resolved values from text and results', () => {
+      const secrets = new Secrets()
+      secrets.register('hunter2')
+      secrets.register('hunter2-extended')
+      secrets.register('')
+
+      expect(secrets.redact('login with hunter2-extended then hunter2, ok')).toBe('login with **** then ****, ok')
+      expect(secrets.redactObject({ error: 'bad hunter2', tests: [{ logs: ['hunter2'] }], count: 2 }))
+        .toEqual({ error: 'bad ****', tests: [{ logs: ['****'] }], count: 2 })
+    })
+
+    test('should redact short secrets such as PINs', () => {
+      const secrets = new Secrets()
+      secrets.register('42')
+      secrets.register('x')
+
+      expect(secrets.redact('pin 42 for user x')).toBe('pin **** for user ****')
+      expect(secrets.redactObject({ error: 'PIN 42 rejected' })).toEqual({ error: 'PIN **** rejected' })
+    })
+
+    test('should warn about secrets no provider has', async () => {
+      await fs.writeFile(path.join(tempDir, 'secrets.json'), JSON.stringify({ login: 'x' }))
+      const scriptPath = path.join(tempDir, 'secrets.rasp')
+      await fs.writeFile(scriptPath, `
+params:
+  secrets:
+    - env
+    - provider: json
+      file: secrets.json
+steps:
+  - text: script-login
+  - text: script-pin
+      `.trim())
+
+      const result = await new RaspValidator({ env: {} }).validate(scriptPath)
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual(['Step 2: script-pin is not in any secrets provider (tried environment variable RASP_PIN, "pin" in secrets.json)'])
+
+      await fs.writeFile(scriptPath, 'params:\n  secrets: { provider: vault }\nsteps:\n  - press: ok')
+      const invalid = await new RaspValidator().validate(scriptPath)
+      expect(invalid.errors).toEqual(['secrets: Unknown secrets provider "vault" (use env, dotenv, json, command)'])
+    })
+
+    test('should keep secrets out of console output, the session log and results', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      await fs.writeFile(path.join(tempDir, 'secrets.json'), JSON.stringify({ pin: '864213' }))
+      const scriptPath = path.join(tempDir, 'pin.rasp')
+      await fs.writeFile(scriptPath, `
+params:
+  default_keypress_wait: 0.05
+  secrets: { provider: json, file: secrets.json }
+steps:
+  - text: script-pin
+  - assert_log: "PIN 864213 accepted"
+      `.trim())
+      const lines = []
+      const logFile = path.join(tempDir, 'session.log')
+      const tester = mock.createTester({ signedIn: true, script: scriptPath, skipPreflight: true, logFile, logger: (line) => lines.push(line) })
+
+      const results = await tester.runTests()
+
+      expect(device.requestsFor('keypress').map(request => request.target).join('')).toBe('Lit_8Lit_6Lit_4Lit_2Lit_1Lit_3')
+      expect(results.signIn.error).toMatch(/No log line matching \/PIN \*\*\*\* accepted\//)
+      expect(JSON.stringify(results)).not.toContain('864213')
+      expect(lines.join('\n')).not.toContain('864213')
+      expect(lines.join('\n')).toContain('Entered text: ******')
+      expect(await fs.readFile(logFile, 'utf8')).not.toContain('864213')
+    }, 15000)
+  })
+
+  describe('Timing Checks', () => {
+    const TimingPolicy = require('../lib/timing-policy')
+    const BeaconRegistry = require('../lib/beacon-registry')
+    const mock = withMockDevice()
+
+    test('should check each certification limit by requirement number', () => {
+      const checks = new TimingPolicy().evaluate(BeaconRegistry.defaultRegistry, { AppLaunchComplete: 16200, VODStartComplete: 3200, VODStartInitiate: 900 })
+
+      expect(checks).toEqual([
+        { id: '3.2', name: 'App Launch', beacon: 'AppLaunchComplete', kind: 'certification', limit: 15000, actual: 16200, passed: false },
+        { id: '3.6', name: 'VOD Playback Start', beacon: 'VODStartComplete', kind: 'certification', limit: 8000, actual: 3200, passed: true }
+      ])
+      expect(TimingPolicy.describeFailure(checks[0])).toBe('Req 3.2 App Launch took 16.2s (limit 15s)')
+    })
+
+    test('should add budget checks and replace limits from seconds options', () => {
+      const policy = TimingPolicy.fromOptions({ launchBudget: '10', videoStartLimit: '6' })
+      const checks = policy.evaluate(BeaconRegistry.defaultRegistry, { AppLaunchComplete: 11840, LiveStartComplete: 7000 })
+
+      expect(checks.map(check => [check.id, check.limit, check.passed])).toEqual([
+        ['3.2', 15000, true],
+        ['budget.launch', 10000, false],
+        ['3.6', 6000, false]
+      ])
+      expect(TimingPolicy.describeFailure(checks[1])).toBe('App Launch budget took 11.8s (limit 10s)')
+      expect(policy.toJSON()).toEqual({ mode: 'fail', limits: { videoStart: 6000 }, budgets: { launch: 10000 } })
+    })
+
+    test('should reject unknown modes and invalid thresholds', () => {
+      expect(() => TimingPolicy.fromOptions({ timingMode: 'strict' })).toThrow('Invalid timing mode "strict"')
+      expect(() => TimingPolicy.fromOptions({ launchBudget: 'soon' })).toThrow('Invalid --launch-budget "soon"')
+      expect(() => new RokuDeepLinkTester({ ip: '127.0.0.1', wait: '5', launchLimit: '0' })).toThrow('Invalid --launch-limit "0"')
+    })
+
+    test('should fail a test that exceeds a budget in fail mode', async () => {
+      await mock.start({ scenario: 'vod' })
+      const tester = mock.createTester({ launchBudget: '1.5' })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(false)
+      expect(result.playbackStarted).toBe(true)
+      expect(result.error).toBe('Timing check failed: App Launch budget took 1.9s (limit 1.5s)')
+      expect(result.checks.map(check => [check.id, check.passed])).toEqual([['3.2', true], ['budget.launch', false], ['3.6', true]])
+    }, 15000)
+
+    test('should only report failed checks in warn mode', async () => {
+      await mock.start({ scenario: 'vod' })
+      const tester = mock.createTester({ launchLimit: '1', timingMode: 'warn' })
+
+      await tester.connectTelnet()
+      const result = await tester.runDeepLinkTest('Deep Link Launch Test', 'launch')
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(true)
+      expect(result.checks[0]).toMatchObject({ id: '3.2', limit: 1000, actual: 1850, passed: false })
+      expect(tester.formatResults().configuration.timing.mode).toBe('warn')
+    }, 15000)
+
+    test('should report checks in JUnit properties and the HTML report', () => {
+      const JUnitReporter = require('../lib/junit-reporter')
+      const HtmlReporter = require('../lib/html-reporter')
+      const results = {
+        success: false, totalTests: 1, passedTests: 0, failedTests: 1,
+        timestamp: '2025-01-15T10:30:00.000Z',
+        configuration: { ip: '127.0.0.1', app: 'dev', contentId: '1234' },
+        tests: [{
+          testName: 'Deep Link Launch Test', command: 'launch', passed: false, duration: 2000,
+          error: 'Timing check failed: App Launch budget took 11.8s (limit 10s)',
+          beaconTimings: { AppLaunchComplete: 11840 },
+          checks: [
+            { id: '3.2', name: 'App Launch', beacon: 'AppLaunchComplete', kind: 'certification', limit: 15000, actual: 11840, passed: true },
+            { id: 'budget.launch', name: 'App Launch budget', beacon: 'AppLaunchComplete', kind: 'budget', limit: 10000, actual: 11840, passed: false }
+          ]
+        }]
+      }
+
+      const xml = new JUnitReporter().render(results)
+      expect(xml).toContain('<property name="check.3.2" value="passed"/>')
+      expect(xml).toContain('<property name="check.budget.launch" value="failed"/>')
+
+      const html = new HtmlReporter().render(results)
+      expect(html).toContain('App Launch budget')
+      expect(html).toContain('/ 10s budget')
+    })
+  })
+
+  describe('Iterations', () => {
+    const TimingStats = require('../lib/timing-stats')
+    const TimingPolicy = require('../lib/timing-policy')
+    const BeaconRegistry = require('../lib/beacon-registry')
+    const mock = withMockDevice()
+
+    const launchRun = (passed, AppLaunchComplete, VODStartComplete) => ({
+      testName: 'Deep Link Launch Test', passed, beaconTimings: { AppLaunchComplete, VODStartComplete }
+    })
+
+    test('should summarize timings with interpolated percentiles', () => {
+      expect(TimingStats.summarize([4000, 1000, 3000, 2000])).toEqual({
+        count: 4, min: 1000, median: 2500, p95: 3850, max: 4000, mean: 2500, stddev: 1291
+      })
+      expect(TimingStats.summarize([1850])).toMatchObject({ median: 1850, p95: 1850, stddev: 0 })
+      expect(TimingStats.summarize([])).toBeNull()
+      expect(TimingStats.percentile([10, 20, 30], 100)).toBe(30)
+    })
+
+    test('should judge certification limits at the chosen percentile', () => {
+      const runs = [
+        launchRun(true, 9000, 3000), launchRun(true, 9500, 3100), launchRun(true, 10000, 2900),
+        launchRun(true, 11000, 3300), launchRun(false, 16000, 3200)
+      ]
+
+      const [atMedian] = new TimingStats(BeaconRegistry.defaultRegistry, new TimingPolicy(), { percentile: 50 }).summarizeTests(runs)
+      expect(atMedian).toMatchObject({ testName: 'Deep Link Launch Test', runs: 5, passed: 4, passRate: 0.8 })
+      expect(atMedian.timings.AppLaunchComplete).toMatchObject({ label: 'App Launch', field: 'Duration', min: 9000, median: 10000, max: 16000 })
+      expect(atMedian.checks[0]).toMatchObject({ id: '3.2', actual: 10000, limit: 15000, passed: true, percentile: 50, samples: 5 })
+
+      const [atP95] = new TimingStats(BeaconRegistry.defaultRegistry, new TimingPolicy()).summarizeTests(runs)
+      expect(atP95.checks[0]).toMatchObject({ id: '3.2', actual: 15000, passed: true, percentile: 95 })
+      expect(atP95.checks[1]).toMatchObject({ id: '3.6', passed: true })
+
+      expect(() => new TimingStats(BeaconRegistry.defaultRegistry, new TimingPolicy(), { percentile: '0' })).toThrow('Invalid percentile "0"')
+    })
+
+    test('should validate iteration options', () => {
+      const options = { ip: '127.0.0.1', wait: '5' }
+      expect(() => new RokuDeepLinkTester({ ...options, iterations: '0' })).toThrow('Invalid iteration count "0"')
+      expect(() => new RokuDeepLinkTester({ ...options, cooldown: 'soon' })).toThrow('Invalid cooldown "soon"')
+      expect(() => new RokuDeepLinkTester({ ...options, iterationReset: 'reboot' })).toThrow('Invalid iteration reset mode "reboot"')
+    })
+
+    test('should repeat the launch test with a Home reset and report the distribution', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const tester = mock.createTester({ skipPreflight: true, launchOnly: true, iterations: '2', cooldown: '0', launchLimit: '1' })
+
+      const results = await tester.runTests()
+
+      expect(results.tests.map(test => [test.testName, test.iteration])).toEqual([
+        ['Deep Link Launch Test', 1],
+        ['Deep Link Launch Test', 2]
+      ])
+      // Each run exceeds the 1s limit, but only the percentile verdict fails the run
+      expect(results.passedTests).toBe(2)
+      expect(results.success).toBe(false)
+      expect(results.iterations).toMatchObject({ count: 2, completed: 2, cooldown: 0, reset: 'home', percentile: 95, passRate: 1, passed: false })
+      expect(results.iterations.tests[0].timings.AppLaunchComplete).toMatchObject({ count: 2, median: 1850, stddev: 0 })
+      expect(results.iterations.tests[0].checks[0]).toMatchObject({ id: '3.2', actual: 1850, limit: 1000, passed: false })
+      expect(device.requestsFor('keypress').map(request => request.target)).toEqual(['Home'])
+    }, 40000)
+  })
+
+  describe('Timing Baselines', () => {
+    const Baseline = require('../lib/baseline')
+    const BeaconRegistry = require('../lib/beacon-registry')
+    const tempDir = path.join(__dirname, 'temp')
+    const mock = withMockDevice()
+
+    afterEach(async () => {
+      await fs.rmdir(tempDir, { recursive: true }).catch(() => {})
+    })
+
+    const results = (tests) => ({ testId: 'nightly', configuration: { app: 'dev', contentId: '1234', mediaType: 'movie' }, tests })
+
+    test('should parse percentage and millisecond tolerances', () => {
+      expect(Baseline.parseTolerance('15%')).toEqual({ percent: 15 })
+      expect(Baseline.parseTolerance('7.5')).toEqual({ percent: 7.5 })
+      expect(Baseline.parseTolerance('500ms')).toEqual({ ms: 500 })
+      expect(() => Baseline.parseTolerance('fast')).toThrow('Invalid regression tolerance "fast"')
+    })
+
+    test('should save the median timing of each test and case', async () => {
+      const baseline = Baseline.fromResults(results([
+        { testName: 'Deep Link Launch Test', beaconTimings: { AppLaunchComplete: 1800, VODStartComplete: 3000 } },
+        { testName: 'Deep Link Launch Test', beaconTimings: { AppLaunchComplete: 2000, VODStartComplete: null } },
+        { testName: 'Deep Link Launch Test', beaconTimings: { AppLaunchComplete: 1900 } },
+        { caseName: 'Feature film', testName: 'Deep Link Input Test', beaconTimings: { VODStartComplete: 2500 } }
+      ]), { name: 'release-2.3' })
+
+      expect(baseline.tests).toEqual({
+        'Deep Link Launch Test': { samples: 3, timings: { AppLaunchComplete: 1900, VODStartComplete: 3000 } },
+        'Feature film / Deep Link Input Test': { samples: 1, timings: { VODStartComplete: 2500 } }
+      })
+
+      const file = path.join(tempDir, 'baselines', 'release.json')
+      await baseline.save(file)
+      const loaded = await Baseline.load(file)
+      expect(loaded.name).toBe('release-2.3')
+      expect(loaded.source).toEqual({ testId: 'nightly', app: 'dev', contentId: '1234', mediaType: 'movie' })
+      expect(loaded.tests).toEqual(baseline.tests)
+    })
+
+    test('should report each beacon against the baseline and flag regressions', () => {
+      const baseline = new Baseline({
+        name: 'release-2.3',
+        tests: { 'Deep Link Launch Test': { samples: 1, timings: { AppLaunchComplete: 2000, VODStartComplete: 3000, VODStartInitiate: 900 } } }
+      })
+      const tests = [
+        { testName: 'Deep Link Launch Test', beaconTimings: { AppLaunchComplete: 2400, VODStartComplete: 3100 } },
+        { testName: 'Deep Link Input Test', beaconTimings: { VODStartComplete: 3100 } }
+      ]
+
+      const comparison = baseline.compare(tests, { percent: 15 }, BeaconRegistry.defaultRegistry)
+      expect(comparison).toMatchObject({ name: 'release-2.3', maxRegression: '15%', passed: false })
+      expect(comparison.tests[0].beacons).toEqual([
+        { beacon: 'AppLaunchComplete', label: 'App Launch', baseline: 2000, actual: 2400, change: 400, changePercent: 20, regressed: true },
+        { beacon: 'VODStartComplete', label: 'VOD Playback Start', baseline: 3000, actual: 3100, change: 100, changePercent: 3.3, regressed: false },
+        { beacon: 'VODStartInitiate', label: 'VOD Initiate', baseline: 900, actual: null, change: null, changePercent: null, regressed: false }
+      ])
+      expect(comparison.tests[1]).toEqual({ test: 'Deep Link Input Test', inBaseline: false, passed: true, beacons: [] })
+      expect(Baseline.describeRegression(comparison.tests[0].beacons[0])).toBe('App Launch regressed 2000ms -> 2400ms (+20%)')
+
+      expect(baseline.compare(tests, { ms: 500 }).passed).toBe(true)
+    })
+
+    test('should reject missing and empty baseline files', async () => {
+      await expect(Baseline.load(path.join(tempDir, 'missing.json'))).rejects.toThrow('Baseline file not found')
+      await fs.mkdir(tempDir, { recursive: true })
+      const empty = path.join(tempDir, 'empty.json')
+      await fs.writeFile(empty, JSON.stringify({ name: 'x', tests: {} }))
+      await expect(Baseline.load(empty)).rejects.toThrow('has no test timings')
+    })
+
+    test('should fail a run that regresses beyond the tolerance', async () => {
+      await mock.start({ scenario: 'vod' })
+      await fs.mkdir(tempDir, { recursive: true })
+      const file = path.join(tempDir, 'baseline.json')
+      await new Baseline({
+        name: 'fast-build',
+        tests: { 'Deep Link Launch Test': { samples: 1, timings: { AppLaunchComplete: 1500, VODStartComplete: 3200 } } }
+      }).save(file)
+
+      const tester = mock.createTester({ skipPreflight: true, launchOnly: true, baseline: file, maxRegression: '15%' })
+      const runResults = await tester.runTests()
+
+      expect(runResults.passedTests).toBe(1)
+      expect(runResults.success).toBe(false)
+      expect(runResults.baseline.passed).toBe(false)
+      expect(runResults.baseline.tests[0].beacons[0]).toMatchObject({ beacon: 'AppLaunchComplete', baseline: 1500, actual: 1850, changePercent: 23.3, regressed: true })
+      expect(runResults.configuration.baseline).toBe(file)
+    }, 30000)
+  })
+
+  describe('Negative Scenarios', () => {
+    const NegativeScenarios = require('../lib/negative-scenarios')
+    const mock = withMockDevice()
+
+    const createTester = (options = {}) => mock.createTester({ negativeWait: '1', ...options })
+
+    afterEach(async () => {
+    })
+
+    test('should build launch and input scenarios for a bogus content ID and media type', () => {
+      const scenarios = NegativeScenarios.build('1234', 'movie')
+
+      expect(scenarios.map(scenario => [scenario.id, scenario.testName, scenario.command])).toEqual([
+        ['invalid-content-id-launch', 'Invalid Content ID Launch Test', 'launch'],
+        ['invalid-content-id-input', 'Invalid Content ID Input Test', 'input'],
+        ['invalid-media-type-launch', 'Invalid Media Type Launch Test', 'launch'],
+        ['invalid-media-type-input', 'Invalid Media Type Input Test', 'input']
+      ])
+      expect(scenarios[0].params).toEqual({ contentId: NegativeScenarios.INVALID_CONTENT_ID, mediaType: 'movie' })
+      expect(scenarios[2].params).toEqual({ contentId: '1234', mediaType: NegativeScenarios.INVALID_MEDIA_TYPE })
+    })
+
+    test('should recognize BrightScript crash output', () => {
+      expect(NegativeScenarios.findCrash([
+        '[beacon.signal] |AppLaunchComplete ---------> Duration(1850 ms)',
+        'BrightScript Micro Debugger.',
+        'Type Mismatch. (runtime error &h18) in pkg:/source/main.brs(12)',
+        'Error loading artwork'
+      ])).toEqual(['BrightScript Micro Debugger.', 'Type Mismatch. (runtime error &h18) in pkg:/source/main.brs(12)'])
+    })
+
+    test('should only play deep links the mock catalog knows', () => {
+      const catalog = new MockRokuDevice({ contentIds: ['1234'] })
+
+      expect(catalog.isValidDeepLink({ contentId: '1234', mediaType: 'movie' })).toBe(true)
+      expect(catalog.isValidDeepLink({ contentId: '9999', mediaType: 'movie' })).toBe(false)
+      expect(catalog.isValidDeepLink({ contentId: '1234', mediaType: 'invalidMediaType' })).toBe(false)
+      expect(new MockRokuDevice().isValidDeepLink({ contentId: '9999', mediaType: 'shortFormVideo' })).toBe(true)
+    })
+
+    test('should pass every scenario when the app ignores bad deep links', async () => {
+      const device = await mock.start({ scenario: 'vod', contentIds: ['1234'] })
+      const tester = createTester()
+
+      await tester.connectTelnet()
+      await tester.runNegativeTests()
+      tester.disconnectTelnet()
+
+      expect(tester.testResults.map(test => [test.testName, test.passed])).toEqual([
+        ['Invalid Content ID Launch Test', true],
+        ['Invalid Content ID Input Test', true],
+        ['Invalid Media Type Launch Test', true],
+        ['Invalid Media Type Input Test', true]
+      ])
+      expect(tester.testResults[0]).toMatchObject({ negative: true, scenario: 'invalid-content-id-launch', crash: { detected: false, lines: [] } })
+      expect(tester.testResults[0].beaconsReceived).toContain('AppLaunchComplete')
+      expect(device.requestsFor('input').map(request => request.params)).toEqual([
+        { contentId: NegativeScenarios.INVALID_CONTENT_ID, mediaType: 'movie' },
+        { contentId: '1234', mediaType: NegativeScenarios.INVALID_MEDIA_TYPE }
+      ])
+    }, 40000)
+
+    test('should fail a scenario that crashes the app', async () => {
+      await mock.start({ scenario: 'crash-on-invalid' })
+      const tester = createTester()
+      const [scenario] = NegativeScenarios.build('1234', 'movie').filter(entry => entry.id === 'invalid-media-type-launch')
+
+      await tester.connectTelnet()
+      const result = await tester.runNegativeAttempt(scenario)
+      tester.disconnectTelnet()
+
+      expect(result.passed).toBe(false)
+      expect(result.crash.lines).toEqual([
+        'BrightScript Micro Debugger.',
+        'Invalid value for left-side of expression. (runtime error &he4) in pkg:/source/DeepLink.brs(42)'
+      ])
+      expect(result.error).toContain('BrightScript crash in the debug console: BrightScript Micro Debugger.')
+      expect(result.error).toContain('App dev exited to the Home screen')
+    }, 20000)
+  })
+
+  describe('Media Types', () => {
+    const MediaTypes = require('../lib/media-types')
+    const TestSuite = require('../lib/test-suite')
+    const mock = withMockDevice()
+
+    const createTester = (options = {}) => mock.createTester({ wait: '2', skipPreflight: true, launchOnly: true, ...options })
+
+    afterEach(async () => {
+    })
+
+    test('should define a profile for every official media type', () => {
+      const mediaTypes = new MediaTypes()
+
+      expect(mediaTypes.names().sort()).toEqual([...MockRokuDevice.MEDIA_TYPES].sort())
+      expect(mediaTypes.get('movie')).toEqual({ name: 'movie', playback: true, landing: null })
+      expect(mediaTypes.get('live').playback).toBe('live')
+      expect(mediaTypes.get('series').playback).toBe(false)
+      expect(mediaTypes.get('season').playback).toBe(false)
+    })
+
+    test('should reject unknown media types with a suggestion', () => {
+      const mediaTypes = new MediaTypes()
+
+      expect(() => mediaTypes.get('movei')).toThrow('Unknown media type "movei". Did you mean "movie"?')
+      expect(() => mediaTypes.get('podcast')).toThrow(/^Unknown media type "podcast"\. Use one of: movie, episode/)
+    })
+
+    test('should merge overrides into the built-in profiles', () => {
+      const mediaTypes = new MediaTypes({
+        series: { landing: '/SeriesDetailsScreen/' },
+        clip: { playback: 'vod' }
+      })
+
+      expect(mediaTypes.get('series')).toEqual({ name: 'series', playback: false, landing: /SeriesDetailsScreen/ })
+      expect(mediaTypes.get('clip').playback).toBe('vod')
+
+      const extended = mediaTypes.extend({ series: { playback: true } })
+      expect(extended.get('series')).toEqual({ name: 'series', playback: true, landing: /SeriesDetailsScreen/ })
+      expect(mediaTypes.get('series').playback).toBe(false)
+      expect(extended.toJSON().series).toEqual({ playback: true, landing: '/SeriesDetailsScreen/' })
+    })
+
+    test('should drop the stateful regex flags from landing patterns', () => {
+      const { landing } = new MediaTypes({ series: { landing: '/seriesdetails/giy' } }).get('series')
+
+      expect(landing.flags).toBe('i')
+      expect(landing.test('SeriesDetailsScreen shown')).toBe(true)
+      expect(landing.test('SeriesDetailsScreen shown')).toBe(true)
+    })
+
+    test('should validate profiles', () => {
+      expect(() => new MediaTypes({ movie: 'play' })).toThrow('Media type "movie": profile must be an object')
+      expect(() => new MediaTypes({ movie: { beacons: [] } })).toThrow('Media type "movie": unknown profile key "beacons"')
+      expect(() => new MediaTypes({ movie: { playback: 1 } })).toThrow('Media type "movie": playback must be true, false or a playback group name')
+      expect(() => new MediaTypes({ series: { landing: '/(/' } })).toThrow('Media type "series": invalid landing pattern')
+    })
+
+    test('should load profile overrides from a file', async () => {
+      const tempDir = path.join(__dirname, 'temp')
+      const file = path.join(tempDir, 'media-types.yaml')
+      await fs.mkdir(tempDir, { recursive: true })
+      await fs.writeFile(file, 'mediaTypes:\n  season:\n    landing: /SeasonScreen/\n')
+
+      try {
+        const mediaTypes = await MediaTypes.load(file)
+        expect(mediaTypes.get('season').landing).toEqual(/SeasonScreen/)
+        expect(mediaTypes.get('movie').playback).toBe(true)
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true })
+      }
+      await expect(MediaTypes.load(file)).rejects.toThrow(`Media types file not found: ${file}`)
+    })
+
+    test('should reject a playback group the beacon registry does not define', () => {
+      const tester = new RokuDeepLinkTester({ ip: '127.0.0.1', wait: '5', mediaTypes: { clip: { playback: 'hls' } } })
+
+      expect(() => tester.mediaProfileFor('clip')).toThrow('Media type "clip" expects playback group "hls", which the beacon registry doesn\'t define')
+    })
+
+    test('should stop before touching the device for an unknown type', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+
+      const results = await createTester({ type: 'movei' }).runTests()
+
+      expect(results.success).toBe(false)
+      expect(results.tests).toEqual([])
+      expect(device.requestsFor('launch')).toEqual([])
+    })
+
+    test('should check every suite case type, with the suite overrides applied', async () => {
+      const device = await mock.start({ scenario: 'vod' })
+      const suite = new TestSuite({
+        mediaTypes: { clip: { playback: 'vod' } },
+        cases: [{ name: 'Clip', content: '1', type: 'clip' }, { name: 'Typo', content: '2', type: 'seires' }]
+      })
+
+      const results = await createTester().runSuite(suite)
+
+      expect(suite.mediaTypes).toEqual({ clip: { playback: 'vod' } })
+      expect(results.success).toBe(false)
+      expect(results.tests).toEqual([])
+      expect(device.requestsFor('launch')).toEqual([])
+    })
+
+    test('should only accept Live beacons for live content', async () => {
+      await mock.start({ scenario: 'vod' })
+
+      const results = await createTester({ type: 'live' }).runTests()
+
+      expect(results.tests[0].passed).toBe(false)
+      expect(results.tests[0].mediaProfile).toEqual({ playback: 'live', landing: null })
+      expect(results.tests[0].error).toContain('Missing: Video playback beacons (Live)')
+    }, 20000)
+
+    test('should pass live content on Live beacons', async () => {
+      await mock.start({ scenario: 'live' })
+
+      const results = await createTester({ type: 'live' }).runTests()
+
+      expect(results.tests[0].passed).toBe(true)
+      expect(results.tests[0].detectedContentType).toBe('Live')
+    }, 20000)
+
+    test('should verify a series landing from the debug console', async () => {
+      await mock.start({
+        scenario: { extends: 'vod', deepLink: [{ delay: 300, line: 'SeriesDetailsScreen shown for 1234' }] }
+      })
+
+      const results = await createTester({ type: 'series', mediaTypes: { series: { landing: '/SeriesDetailsScreen shown/' } } }).runTests()
+
+      expect(results.tests[0].passed).toBe(true)
+      expect(results.tests[0].expectedBeacons).toEqual(['AppLaunchComplete'])
+      expect(results.tests[0].landing).toEqual({
+        pattern: '/SeriesDetailsScreen shown/',
+        line: 'SeriesDetailsScreen shown for 1234',
+        passed: true
+      })
+    }, 20000)
+
+    test('should fail a series deep link that never reaches its landing', async () => {
+      await mock.start({ scenario: 'vod' })
+
+      const results = await createTester({ type: 'series', mediaTypes: { series: { landing: '/SeriesDetailsScreen shown/' } } }).runTests()
+
+      expect(results.tests[0].passed).toBe(false)
+      expect(results.tests[0].landing).toMatchObject({ line: null, passed: false })
+      expect(results.tests[0].error).toContain('No debug console line matching /SeriesDetailsScreen shown/ (landing for mediaType series)')
+    }, 20000)
+
+    test('should stop watching for the landing when the deep link cannot be sent', async () => {
+      await mock.start({ scenario: 'vod' })
+      const tester = createTester({ type: 'series', mediaTypes: { series: { landing: '/SeriesDetailsScreen shown/' } } })
+      tester.sendEcpCommand = async () => false
+
+      const result = await tester.runDeepLinkAttempt('Deep Link Launch Test', 'launch')
+
+      expect(result.error).toBe('Failed to send ECP command')
+      expect(tester.events.listenerCount('line')).toBe(0)
+    })
+  })
 })
 
 // Integration tests (these would require a real Roku device)